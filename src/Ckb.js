@@ -3,12 +3,216 @@
 import type Transport from "@ledgerhq/hw-transport";
 import BIPPath from "bip32-path";
 import * as blockchain from "./annotated";
-import Blake2b from "blake2b-wasm";
-import { bech32m } from "bech32";
+import { Instructions, mapTransportError } from "./errors";
+import { DEFAULT_CHUNK_SIZE, chunkPayload, exchangeChunks } from "./chunking";
+import type { ExchangeOptions } from "./chunking";
+import { Features, assertFeature, getCapabilities } from "./capabilities";
+import { computeAnnotatedTransactionMessage, computeScriptHash } from "./hash";
+import {
+  assembleTransaction,
+  inputGroup,
+  sighashGroupWitnesses,
+  toRawTransactionView,
+} from "./transaction";
+import { findGroupsForLockArgs, groupInputsByLock } from "./scriptGroups";
+import { parseAddress, scriptToAddress } from "./address";
+import { MAINNET, TESTNET, networkForPrefix, systemScript } from "./network";
+import type { Network } from "./network";
+import { lockArgPaths } from "./bip32";
+import type { ExtendedPublicKey } from "./bip32";
+import { WatchOnlyAccount } from "./account";
+import { DEFAULT_GAP_LIMIT, discoverAccounts } from "./discovery";
+import type { AccountScan, IsUsed } from "./discovery";
+import { CachingTransactionResolver, resolveContextTransactions } from "./resolver";
+import type { TransactionResolver } from "./resolver";
+import {
+  assertSignature,
+  compressPublicKey,
+  computeMessageHash,
+  publicKeyToLockArg,
+} from "./secp256k1";
+import { fingerprint, serializeExtendedPublicKey } from "./xpub";
+import {
+  computeMultisigMessage,
+  multisigGroup,
+  multisigGroupWitnesses,
+} from "./multisig";
+import type { MultisigConfig } from "./multisig";
+import { acpAddress, acpArgs, findAcpGroupsForLockArgs } from "./acp";
+import type { AcpMinimums } from "./acp";
+import {
+  OMNILOCK_PLACEHOLDER,
+  findOmnilockGroupsForLockArgs,
+  omnilockAddress,
+  omnilockArgs,
+  omnilockWitnessLock,
+} from "./omnilock";
+import { findChequeGroupsForLockArgs } from "./cheque";
+import {
+  daoDepositTransaction,
+  daoUnlockTransaction,
+  daoUnlockTransactionFromHeaders,
+  daoWithdrawTransaction,
+} from "./dao";
+import type { UnsignedTransaction } from "./dao";
+import { describeAnnotatedTransaction } from "./preview";
+import type { TransactionPreview } from "./preview";
 
-// CKB address is longer than the longest Bitcoin address
-// The bech32m encoding limit should be increased
-const BECH32_LIMIT = 1023;
+export * from "./errors";
+export { ProgressPhase } from "./chunking";
+export {
+  Features,
+  FeatureVersions,
+  parseVersion,
+  compareVersions,
+  getCapabilities,
+} from "./capabilities";
+export {
+  ckbHash,
+  blake160,
+  computeTransactionHash,
+  computeScriptHash,
+  computeHeaderHash,
+  computeSighashAllMessage,
+  computeAnnotatedTransactionMessage,
+  rawTransactionFromAnnotated,
+} from "./hash";
+export {
+  compressPublicKey,
+  publicKeyToLockArg,
+  computeMessageHash,
+  recoverPublicKey,
+  recoverLockArg,
+  verifySignature,
+} from "./secp256k1";
+export {
+  SIGNATURE_PLACEHOLDER,
+  assembleTransaction,
+  withWitnessLock,
+} from "./transaction";
+export {
+  SECP256K1_BLAKE160_CODE_HASH,
+  groupInputsByLock,
+  findGroupsForLockArgs,
+} from "./scriptGroups";
+export {
+  Chains,
+  deriveChildPublicKey,
+  derivePublicKeyPath,
+  lockArgPaths,
+} from "./bip32";
+export {
+  RpcTransactionResolver,
+  MemoryTransactionResolver,
+  CachingTransactionResolver,
+  resolveContextTransactions,
+} from "./resolver";
+export type { TransactionResolver } from "./resolver";
+export {
+  AddressPrefix,
+  AddressFormat,
+  scriptToAddress,
+  parseAddress,
+  addressToScript,
+} from "./address";
+export type { Script } from "./address";
+export { MAINNET, TESTNET, networkForPrefix, systemScript } from "./network";
+export type { Network, ScriptConfig, CellDep } from "./network";
+export { WatchOnlyAccount } from "./account";
+export type { DerivedAddress } from "./account";
+export { DEFAULT_GAP_LIMIT, scanChain, scanAccount, discoverAccounts } from "./discovery";
+export type { IsUsed, ChainScan, AccountScan } from "./discovery";
+export {
+  ExtendedKeyVersion,
+  fingerprint,
+  hash160,
+  serializeExtendedPublicKey,
+  parseExtendedPublicKey,
+} from "./xpub";
+export type { ExtendedKeyInfo } from "./xpub";
+export {
+  multisigConfig,
+  assertMultisigConfig,
+  serializeMultisigScript,
+  parseMultisigScript,
+  multisigArgs,
+  multisigLockScript,
+  multisigAddress,
+  multisigPlaceholder,
+  multisigGroup,
+  computeMultisigMessage,
+  mergeMultisigSignatures,
+  assembleMultisigTransaction,
+} from "./multisig";
+export type { MultisigConfig } from "./multisig";
+export {
+  acpArgs,
+  parseAcpArgs,
+  acpLockScript,
+  acpAddress,
+  isAcpLock,
+  findAcpGroupsForLockArgs,
+} from "./acp";
+export type { AcpMinimums } from "./acp";
+export {
+  OmnilockAuthFlag,
+  OMNILOCK_PLACEHOLDER,
+  omnilockArgs,
+  parseOmnilockArgs,
+  omnilockLockScript,
+  omnilockAddress,
+  omnilockWitnessLock,
+  parseOmnilockWitnessLock,
+  findOmnilockGroupsForLockArgs,
+} from "./omnilock";
+export {
+  ChequeAction,
+  CHEQUE_WITHDRAW_SINCE,
+  secp256k1LockHash,
+  chequeArgs,
+  parseChequeArgs,
+  chequeLockScript,
+  chequeAddress,
+  findChequeGroupsForLockArgs,
+} from "./cheque";
+export {
+  DAO_DEPOSIT_DATA,
+  occupiedCapacity,
+  spentCell,
+  daoTypeScript,
+  isDaoDeposit,
+  isDaoWithdrawing,
+  encodeBlockNumber,
+  parseEpoch,
+  daoEarliestSince,
+  daoEarliestUnlockEpoch,
+  calculateMaximumWithdraw,
+  calculateDaoCompensation,
+  daoDepositTransaction,
+  daoWithdrawTransaction,
+  daoUnlockTransaction,
+  daoUnlockTransactionFromHeaders,
+} from "./dao";
+export type { DaoInput, Epoch, UnsignedTransaction } from "./dao";
+export { toHeaderView, headerNumber, headerEpoch, parseDaoField, headerDao } from "./header";
+export type { DaoField } from "./header";
+export { SinceMetric, encodeSince, decodeSince, isValidSince, describeSince } from "./since";
+export type { Since } from "./since";
+export { DaoOperation, describeAnnotatedTransaction } from "./preview";
+export type { InputPreview, OutputPreview, TransactionPreview } from "./preview";
+export { toRpcTransaction } from "./rpc";
+
+const CLA = 0x80;
+
+// P1 asking the app to show the data on screen and wait for the user
+const P1_CONFIRM = 0x01;
+
+// Recoverable secp256k1 signature: r, s and the recovery id
+const SIGNATURE_LENGTH = 65;
+
+type SignOptions = ExchangeOptions & {
+  lockArg?: string,
+};
 
 /**
  * Nervos API
@@ -20,106 +224,274 @@ const BECH32_LIMIT = 1023;
 export default class Ckb {
   transport: Transport<*>;
 
-  constructor(transport: Transport<*>, scrambleKey: string = "CKB") {
+  /**
+   * Maximum number of payload bytes sent per APDU by streamed instructions.
+   */
+  chunkSize: number = DEFAULT_CHUNK_SIZE;
+
+  /**
+   * The result of the last getAppConfiguration call, if any.
+   */
+  appConfiguration: ?{ version: string, hash: string } = null;
+
+  /**
+   * Fetches context transactions when a signing method is not given them.
+   */
+  resolver: ?TransactionResolver = null;
+
+  /**
+   * The chain whose address prefix and system scripts are used.
+   */
+  network: Network = MAINNET;
+
+  /**
+   * @param transport the transport to the device
+   * @param scrambleKey the scramble key of the Nervos app
+   * @param options.resolver a TransactionResolver used, with a cache, to
+   * fetch the transactions spent by a transaction's inputs
+   * @param options.network the chain to work with, MAINNET by default
+   */
+  constructor(
+    transport: Transport<*>,
+    scrambleKey: string = "CKB",
+    { resolver, network }: { resolver?: TransactionResolver, network?: Network } = {}
+  ) {
     this.transport = transport;
-    transport.decorateAppAPIMethods(
-      this,
-      [
-        "getAppConfiguration",
-        "getWalletId",
-        "getWalletPublicKey",
-        "signAnnotatedTransaction",
-      ],
-      scrambleKey
-    );
+    if (network) {
+      this.network = network;
+    }
+    if (resolver) {
+      this.resolver = new CachingTransactionResolver(resolver);
+    }
+    // Every method that talks to the device goes through one of these, which
+    // hold the transport for a whole exchange, chunk streams included.
+    // Methods making several round trips, such as signScriptGroups, are made
+    // of them and so never leave the app halfway through an exchange.
+    const deviceMethods = [
+      "getAppConfiguration",
+      "getWalletId",
+      "getWalletPublicKeyAt",
+      "getWalletExtendedPublicKeyAt",
+      "sendSigningChunks",
+    ];
+    transport.decorateAppAPIMethods(this, deviceMethods, scrambleKey);
+    // Queue overlapping calls instead of failing them on the transport's lock
+    let queue = Promise.resolve();
+    deviceMethods.forEach((name) => {
+      const method = (this: any)[name];
+      (this: any)[name] = (...args) => {
+        const result = queue.then(() => method(...args));
+        queue = result.catch(() => {});
+        return result;
+      };
+    });
+  }
+
+  /**
+   * Send a single APDU to the Nervos app.
+   *
+   * Status word failures are rethrown as a CkbLedgerError carrying the
+   * instruction that failed.
+   */
+  async sendApdu(
+    ins: number,
+    p1: number,
+    p2: number,
+    data?: Buffer
+  ): Promise<Buffer> {
+    try {
+      return await this.transport.send(CLA, ins, p1, p2, data);
+    } catch (error) {
+      throw mapTransportError(error, ins);
+    }
   }
 
   /**
    * get CKB address for a given BIP 32 path.
    *
+   * With options.showOnDevice the address is shown on the device and the
+   * call only returns once the user approved it; if the user rejects it a
+   * UserRejectedError is thrown.
+   *
    * @param path a path in BIP 32 format
-   * @return an object with a publicKey, lockArg, and (secp256k1+blake160) address.
+   * @param testnet whether to format a testnet or mainnet address, the network given to the constructor by default or when it has the requested prefix
+   * @param options.showOnDevice whether the user must confirm the address on the device
+   * @return an object with a publicKey, lockArg, the lockHash of its lock script, and (secp256k1+blake160) address.
    * @example
    * const result = await ckb.getWalletPublicKey("44'/144'/0'/0/0");
    * const publicKey = result.publicKey;
    * const lockArg = result.lockArg;
    * const address = result.address;
+   * @example
+   * try {
+   *   const { address } = await ckb.getWalletPublicKey("44'/309'/0'/0/0", null, { showOnDevice: true });
+   * } catch (e) {
+   *   if (e instanceof UserRejectedError) {
+   *     // the address shown on the device was not approved
+   *   }
+   * }
    */
-  async getWalletPublicKey(path: string, testnet: boolean): Promise<string> {
-    const bipPath = BIPPath.fromString(path).toPathArray();
-
-    const cla = 0x80;
-    const ins = 0x02;
-    const p1 = 0x00;
-    const p2 = 0x00;
-    const data = Buffer.alloc(1 + bipPath.length * 4);
+  async getWalletPublicKey(
+    path: string,
+    testnet?: ?boolean,
+    { showOnDevice = false }: { showOnDevice?: boolean } = {}
+  ): Promise<Object> {
+    const publicKey = await this.getWalletPublicKeyAt(
+      BIPPath.fromString(path).toPathArray(),
+      showOnDevice
+    );
 
-    data.writeUInt8(bipPath.length, 0);
-    bipPath.forEach((segment, index) => {
-      data.writeUInt32BE(segment, 1 + index * 4);
-    });
+    const lockArg = publicKeyToLockArg(publicKey);
 
-    const response = await this.transport.send(cla, ins, p1, p2, data);
+    const network =
+      testnet == null
+        ? this.network
+        : networkForPrefix(testnet ? TESTNET.prefix : MAINNET.prefix, [this.network, MAINNET, TESTNET]);
+    const lock = systemScript(network.scripts.SECP256K1_BLAKE160, lockArg);
+    const addr = scriptToAddress(lock, { network });
 
-    const publicKeyLength = response[0];
-    const publicKey = response.slice(1, 1 + publicKeyLength);
-
-    const compressedPublicKey = Buffer.alloc(33);
-    compressedPublicKey.fill(publicKey[64] & 1 ? "03" : "02", 0, 1, "hex");
-    compressedPublicKey.fill(publicKey.subarray(1, 33), 1, 33);
-    const hashPersonalization = Uint8Array.from([99, 107, 98, 45, 100, 101, 102, 97, 117, 108, 116, 45, 104, 97, 115, 104]);
-    const lockArg = Buffer.from(
-      Blake2b(32, null, null, hashPersonalization)
-        .update(compressedPublicKey)
-        .digest("binary")
-        .subarray(0, 20)
-    );
+    return {
+      publicKey: publicKey,
+      lockArg: lockArg,
+      lockHash: computeScriptHash(lock),
+      address: addr,
+    };
+  }
 
-    const addr_contents: number[] = [
-      // CKB 2021 address full format prefix
-      0x00,
-      // SECP256K1_BLAKE160 code hash
-      ...[
-        155, 215, 224, 111,  62, 207, 75,
-        224, 242, 252, 210,  24, 139, 35,
-        241, 185, 252, 200, 142,  93, 75,
-        101, 168,  99, 123,  23, 114, 59,
-        189, 163, 204, 232
-      ],
-      // SECP256K1_BLAKE160 hash type
-      0b00000001,
-      // lock args
-      ...lockArg
-    ];
-    const addr = bech32m.encode(
-      testnet ? "ckt" : "ckb",
-      bech32m.toWords(addr_contents),
-      BECH32_LIMIT
-    );
+  /**
+   * get the anyone-can-pay address of a given BIP 32 path.
+   *
+   * The ANYONE_CAN_PAY lock is owned by the same key and lock arg as the
+   * path's default address; its args optionally add the minimum amounts a
+   * payment must bring.
+   *
+   * @param path a path in BIP 32 format
+   * @param options.minimumCkb the minimum CKB payment, as a power of ten of shannons
+   * @param options.minimumUdt the minimum UDT payment, as a power of ten of base units
+   * @param options.network the network to format the address for, the network given to the constructor by default
+   * @return an object with a publicKey, lockArg, the lock args and the anyone-can-pay address.
+   * @example
+   * const { address } = await ckb.getWalletAcpAddress("44'/309'/0'/0/0", { minimumCkb: 8 });
+   */
+  async getWalletAcpAddress(
+    path: string,
+    { network = this.network, ...minimums }: AcpMinimums & { network?: Network } = {}
+  ): Promise<{ publicKey: string, lockArg: string, args: string, address: string }> {
+    const publicKey = await this.getWalletPublicKeyAt(BIPPath.fromString(path).toPathArray());
+    const lockArg = publicKeyToLockArg(publicKey);
+    return {
+      publicKey,
+      lockArg,
+      args: acpArgs(lockArg, minimums),
+      address: acpAddress(lockArg, minimums, network),
+    };
+  }
 
+  /**
+   * get the Omnilock address of a given BIP 32 path.
+   *
+   * The Omnilock lock uses the CKB secp256k1 auth with the path's lock arg,
+   * so it is owned by the same key as the path's default address.
+   *
+   * @param path a path in BIP 32 format
+   * @param options.network the network to format the address for, the network given to the constructor by default
+   * @return an object with a publicKey, lockArg, the lock args and the Omnilock address.
+   * @example
+   * const { address } = await ckb.getWalletOmnilockAddress("44'/309'/0'/0/0");
+   */
+  async getWalletOmnilockAddress(
+    path: string,
+    { network = this.network }: { network?: Network } = {}
+  ): Promise<{ publicKey: string, lockArg: string, args: string, address: string }> {
+    const publicKey = await this.getWalletPublicKeyAt(BIPPath.fromString(path).toPathArray());
+    const lockArg = publicKeyToLockArg(publicKey);
     return {
-      publicKey: publicKey.toString("hex"),
-      lockArg: lockArg.toString("hex"),
-      address: addr,
+      publicKey,
+      lockArg,
+      args: omnilockArgs(lockArg),
+      address: omnilockAddress(lockArg, network),
     };
   }
 
+  /**
+   * Decode a CKB address, reading short addresses with the system scripts of
+   * the network given to the constructor when the address has its prefix.
+   *
+   * @param address the address
+   * @return the address prefix, its format and the script as JSON
+   * @example
+   * const { script } = ckb.parseAddress("ckt1qyq...");
+   */
+  parseAddress(address: string): { prefix: string, format: number, script: Object } {
+    return parseAddress(address, { networks: [this.network, MAINNET, TESTNET] });
+  }
+
   /**
    * get extended public key for a given BIP 32 path.
    *
+   * With options.standard, the parent's public key is fetched as well to
+   * serialize the key in the standard BIP 32 format, and the result also
+   * holds the compressed publicKey, the Base58Check xpub, the key's depth and
+   * child index, and its own and its parent's fingerprints.
+   *
    * @param path a path in BIP 32 format
-   * @return an object with a publicKey
+   * @param options.standard whether to add the standard serialization and fingerprints
+   * @param options.version the version bytes of the xpub, ExtendedKeyVersion.XPUB by default
+   * @return an object with a public_key and chain_code
    * @example
-   * const result = await ckb.getWalletPublicKey("44'/144'/0'/0/0");
-   * const publicKey = result;
+   * const result = await ckb.getWalletExtendedPublicKey("44'/309'/0'", { standard: true });
+   * const xpub = result.xpub;
    */
-  async getWalletExtendedPublicKey(path: string): Promise<string> {
+  async getWalletExtendedPublicKey(
+    path: string,
+    { standard = false, version }: { standard?: boolean, version?: number } = {}
+  ): Promise<Object> {
+    await this.requireFeature(
+      Features.EXTENDED_PUBLIC_KEY,
+      Instructions.GET_WALLET_EXTENDED_PUBLIC_KEY
+    );
     const bipPath = BIPPath.fromString(path).toPathArray();
+    const key = await this.getWalletExtendedPublicKeyAt(bipPath);
+    if (!standard) {
+      return key;
+    }
 
-    const cla = 0x80;
-    const ins = 0x04;
-    const p1 = 0x00;
-    const p2 = 0x00;
+    const depth = bipPath.length;
+    const parentFingerprint =
+      depth === 0 ? 0 : fingerprint(await this.getWalletPublicKeyAt(bipPath.slice(0, -1)));
+    const childIndex = depth === 0 ? 0 : bipPath[depth - 1];
+    return {
+      ...key,
+      publicKey: compressPublicKey(key.public_key),
+      xpub: serializeExtendedPublicKey({
+        ...key,
+        depth,
+        parentFingerprint,
+        childIndex,
+        version,
+      }),
+      depth,
+      childIndex,
+      fingerprint: fingerprint(key.public_key),
+      parentFingerprint,
+    };
+  }
+
+  /**
+   * Get the fingerprint of the wallet's master key, which identifies the
+   * wallet in key origins such as [d34db33f/44'/309'/0']. The Nervos app
+   * must allow reading the master public key.
+   *
+   * @return the fingerprint as a number
+   */
+  async getMasterFingerprint(): Promise<number> {
+    return fingerprint(await this.getWalletPublicKeyAt([]));
+  }
+
+  // The raw public key and chain code at a path
+  async getWalletExtendedPublicKeyAt(
+    bipPath: Array<number>
+  ): Promise<{ public_key: string, chain_code: string }> {
     const data = Buffer.alloc(1 + bipPath.length * 4);
 
     data.writeUInt8(bipPath.length, 0);
@@ -127,7 +499,12 @@ export default class Ckb {
       data.writeUInt32BE(segment, 1 + index * 4);
     });
 
-    const response = await this.transport.send(cla, ins, p1, p2, data);
+    const response = await this.sendApdu(
+      Instructions.GET_WALLET_EXTENDED_PUBLIC_KEY,
+      0x00,
+      0x00,
+      data
+    );
     const publicKeyLength = response[0];
     const chainCodeOffset = 2 + publicKeyLength;
     const chainCodeLength = response[1 + publicKeyLength];
@@ -139,14 +516,98 @@ export default class Ckb {
     };
   }
 
+  // The raw public key at a path, optionally confirmed on the device
+  async getWalletPublicKeyAt(
+    bipPath: Array<number>,
+    showOnDevice: boolean = false
+  ): Promise<string> {
+    const data = Buffer.alloc(1 + bipPath.length * 4);
+    data.writeUInt8(bipPath.length, 0);
+    bipPath.forEach((segment, index) => {
+      data.writeUInt32BE(segment, 1 + index * 4);
+    });
+    const response = await this.sendApdu(
+      Instructions.GET_WALLET_PUBLIC_KEY,
+      showOnDevice ? P1_CONFIRM : 0x00,
+      0x00,
+      data
+    );
+    return response.slice(1, 1 + response[0]).toString("hex");
+  }
+
+  /**
+   * Get a watch-only account that derives the account's receiving and change
+   * addresses without further device interaction
+   *
+   * @param accountPath the account's path in BIP 32 format
+   * @return a WatchOnlyAccount for the network given to the constructor
+   * @example
+   * const account = await ckb.getWatchOnlyAccount("44'/309'/0'");
+   * const { address, path } = account.changeAddress(3);
+   */
+  async getWatchOnlyAccount(accountPath: string = "44'/309'/0'"): Promise<WatchOnlyAccount> {
+    const extendedPublicKey: any = await this.getWalletExtendedPublicKey(accountPath);
+    return new WatchOnlyAccount(extendedPublicKey, { accountPath, network: this.network });
+  }
+
+  /**
+   * Find the wallet's used accounts and addresses
+   *
+   * Accounts 44'/309'/0', 44'/309'/1'... are fetched from the device in turn
+   * and their receiving and change chains scanned offline until gapLimit
+   * consecutive addresses are unused. Discovery stops at the first account
+   * without any used address.
+   *
+   * @param isUsed called with each lockArg and derived address, resolves to whether it was ever used
+   * @param options.gapLimit how many consecutive unused addresses end a chain, 20 by default
+   * @param options.maxAccounts how many accounts to scan at most
+   * @return for each used account, its WatchOnlyAccount and the used
+   * addresses and next unused index of each chain
+   * @example
+   * const accounts = await ckb.discoverAccounts(async lockArg =>
+   *   (await indexer.getTransactions(lockScriptFor(lockArg))).length > 0
+   * );
+   */
+  async discoverAccounts(
+    isUsed: IsUsed,
+    options: { gapLimit?: number, maxAccounts?: number } = {}
+  ): Promise<Array<AccountScan>> {
+    return discoverAccounts(
+      (accountIndex) => this.getWatchOnlyAccount(`44'/309'/${accountIndex}'`),
+      isUsed,
+      options
+    );
+  }
+
+  /**
+   * Get the transactions spent by the inputs of rawTx, aligned with the inputs
+   *
+   * @param rawTx the transaction whose inputs to resolve
+   * @param rawContextsTx returned as is when given
+   * @return the context transactions, fetched through the resolver unless given
+   */
+  async resolveContextTransactions(
+    rawTx: string | Object,
+    rawContextsTx: ?Array<string | Object>
+  ): Promise<Array<string | Object>> {
+    if (rawContextsTx) {
+      return rawContextsTx;
+    }
+    if (!this.resolver) {
+      throw new Error("No context transactions given and no resolver configured");
+    }
+    return await resolveContextTransactions(this.resolver, rawTx);
+  }
+
   /**
    * Sign a Nervos transaction with a given BIP 32 path
    *
    * @param signPath the path to sign with, in BIP 32 format
    * @param rawTxHex transaction to sign
    * @param groupWitnessesHex hex of in-group and extra witnesses to include in signature
-   * @param contextTransaction list of transaction contexts for parsing
+   * @param contextTransaction list of transaction contexts for parsing, or null to fetch them with the resolver
    * @param changePath the path the transaction sends change to, in BIP 32 format (optional, defaults to signPath)
+   * @param options an optional onProgress callback, AbortSignal and expected lockArg, see signAnnotatedTransaction
    * @return a signature as hex string
    * @example
    * TODO
@@ -156,17 +617,356 @@ export default class Ckb {
     signPath: string | BIPPath | [number],
     rawTx: string | blockchain.RawTransactionJSON,
     groupWitnessesHex?: [string],
-    rawContextsTx: [string | blockchain.RawTransactionJSON],
-    changePath: string | BIPPath | [number]
+    rawContextsTx: ?[string | blockchain.RawTransactionJSON],
+    changePath: string | BIPPath | [number],
+    options?: SignOptions
   ): Promise<string> {
+    const contexts: any = await this.resolveContextTransactions(rawTx, (rawContextsTx: any));
     return await this.signAnnotatedTransaction(
       this.buildAnnotatedTransaction(
         signPath,
         rawTx,
         groupWitnessesHex,
-        rawContextsTx,
+        contexts,
+        changePath
+      ),
+      options
+    );
+  }
+
+  /**
+   * Sign a Nervos transaction and return it with the signature in place
+   *
+   * The signed script group is made of the inputs sharing the lock script of
+   * the input at options.groupInputIndex (default 0). The signature is put
+   * into the lock of the group's first witness; its input_type and
+   * output_type are kept.
+   *
+   * @param signPath the path to sign with, in BIP 32 format
+   * @param rawTx transaction to sign
+   * @param witnesses all of the transaction's witnesses
+   * @param rawContextsTx list of transaction contexts for parsing, aligned with the inputs, or null to fetch them with the resolver
+   * @param changePath the path the transaction sends change to, in BIP 32 format
+   * @param options the options of signAnnotatedTransaction, and groupInputIndex
+   * @return the signature, the transaction hash, the signed Transaction as
+   * molecule hex and as CKB JSON-RPC JSON
+   * @example
+   * const { json } = await ckb.signAndAssembleTransaction(path, rawTx, witnesses, contexts, path);
+   * await rpc.send_transaction(json);
+   */
+  async signAndAssembleTransaction(
+    signPath: string | BIPPath | [number],
+    rawTx: string | Object,
+    witnesses: Array<string>,
+    rawContextsTx: ?Array<string | Object>,
+    changePath: string | BIPPath | [number],
+    { groupInputIndex = 0, ...options }: SignOptions & { groupInputIndex?: number } = {}
+  ): Promise<{ signature: string, hash: string, hex: string, json: Object }> {
+    const contexts = await this.resolveContextTransactions(rawTx, rawContextsTx);
+    const group = inputGroup(rawTx, contexts, groupInputIndex);
+    const inputCount = toRawTransactionView(rawTx).getInputs().length();
+    const groupWitnesses: any = sighashGroupWitnesses(witnesses, group, inputCount);
+    const signature = await this.signAnnotatedTransaction(
+      this.buildAnnotatedTransaction(
+        signPath,
+        rawTx,
+        groupWitnesses,
+        (contexts: any),
         changePath
-      )
+      ),
+      options
+    );
+    const { hash, hex, json } = assembleTransaction(rawTx, witnesses, {
+      [group[0]]: signature,
+    });
+    return { signature, hash, hex, json };
+  }
+
+  /**
+   * Sign every script group of a transaction that belongs to an account
+   *
+   * Inputs are grouped by the lock script of the cells they spend, as found in
+   * the context transactions. Each SECP256K1_BLAKE160 group whose args match
+   * one of the signers' lock args, and each ANYONE_CAN_PAY group whose args
+   * start with one, is signed in turn with that signer's path. So is each
+   * cheque group whose receiver (claim) or sender (withdraw) is the
+   * SECP256K1_BLAKE160 lock of one of them, and each Omnilock group with the
+   * CKB secp256k1 auth of one of them, its witness lock being an
+   * OmniLockWitnessLock. Each signature is checked against the
+   * lock arg before being put into the lock of the group's first witness.
+   *
+   * @param rawTx transaction to sign
+   * @param witnesses all of the transaction's witnesses
+   * @param rawContextsTx list of transaction contexts for parsing, aligned with the inputs, or null to fetch them with the resolver
+   * @param signers the account's lock args and the BIP 32 path of each
+   * @param changePath the path the transaction sends change to, in BIP 32 format
+   * @param options an optional onProgress callback and AbortSignal, used for every group
+   * @return the signature of each signed group, the transaction hash, the
+   * signed Transaction as molecule hex and as CKB JSON-RPC JSON
+   * @example
+   * const { json } = await ckb.signScriptGroups(rawTx, witnesses, contexts, [
+   *   { lockArg: receiving.lockArg, path: "m/44'/309'/0'/0/0" },
+   *   { lockArg: change.lockArg, path: "m/44'/309'/0'/1/0" },
+   * ], "m/44'/309'/0'/1/0");
+   */
+  async signScriptGroups(
+    rawTx: string | Object,
+    witnesses: Array<string>,
+    rawContextsTx: ?Array<string | Object>,
+    signers: Array<{ lockArg: string, path: string | BIPPath | [number] }>,
+    changePath: string | BIPPath | [number],
+    options: ExchangeOptions = {}
+  ): Promise<{
+    signatures: Array<{
+      lockArg: string,
+      path: string | BIPPath | [number],
+      inputs: Array<number>,
+      signature: string,
+    }>,
+    hash: string,
+    hex: string,
+    json: Object,
+  }> {
+    const contexts = await this.resolveContextTransactions(rawTx, rawContextsTx);
+    const allGroups = groupInputsByLock(rawTx, contexts);
+    const lockArgs = signers.map(({ lockArg }) => lockArg);
+    const groups = [
+      ...findGroupsForLockArgs(allGroups, lockArgs, this.network.scripts.SECP256K1_BLAKE160),
+      ...findAcpGroupsForLockArgs(allGroups, lockArgs, this.network),
+      ...findChequeGroupsForLockArgs(allGroups, lockArgs, this.network),
+      ...findOmnilockGroupsForLockArgs(allGroups, lockArgs, this.network).map((group) => ({
+        ...group,
+        omnilock: true,
+      })),
+    ].sort((a, b) => a.inputs[0] - b.inputs[0]);
+    if (groups.length === 0) {
+      throw new Error("No input is locked by any of the given lock args");
+    }
+    const inputCount = toRawTransactionView(rawTx).getInputs().length();
+    const signatures = [];
+    const witnessLocks = {};
+    for (const { lockArg, inputs, omnilock } of (groups: Array<any>)) {
+      const signer: any = signers.find(
+        (s) => s.lockArg.replace(/^0x/, "").toLowerCase() === lockArg
+      );
+      const groupWitnesses: any = sighashGroupWitnesses(
+        witnesses,
+        inputs,
+        inputCount,
+        omnilock ? OMNILOCK_PLACEHOLDER : undefined
+      );
+      const signature = await this.signAnnotatedTransaction(
+        this.buildAnnotatedTransaction(
+          signer.path,
+          rawTx,
+          groupWitnesses,
+          (contexts: any),
+          changePath
+        ),
+        { ...options, lockArg }
+      );
+      signatures.push({ lockArg, path: signer.path, inputs, signature });
+      witnessLocks[inputs[0]] = omnilock ? omnilockWitnessLock(signature) : signature;
+    }
+    const { hash, hex, json } = assembleTransaction(rawTx, witnesses, witnessLocks);
+    return { signatures, hash, hex, json };
+  }
+
+  /**
+   * Sign a transaction spending cells owned by several paths of an account
+   *
+   * paths either maps lock args to their BIP 32 paths, or names an account
+   * whose first gapLimit (default 20) receiving and change addresses are
+   * derived offline from its extended public key. The extended public key is
+   * fetched from the device unless given. Every matching script group is
+   * signed as in signScriptGroups.
+   *
+   * @param rawTx transaction to sign
+   * @param witnesses all of the transaction's witnesses
+   * @param rawContextsTx list of transaction contexts for parsing, aligned with the inputs, or null to fetch them with the resolver
+   * @param paths a lockArg to path map, or {accountPath, extendedPublicKey?, gapLimit?}
+   * @param changePath the path the transaction sends change to, in BIP 32 format
+   * @param options an optional onProgress callback and AbortSignal
+   * @return as for signScriptGroups
+   * @example
+   * const { json } = await ckb.signTransactionWithPaths(rawTx, witnesses, contexts, {
+   *   accountPath: "44'/309'/0'",
+   * }, "44'/309'/0'/1/0");
+   */
+  async signTransactionWithPaths(
+    rawTx: string | Object,
+    witnesses: Array<string>,
+    rawContextsTx: ?Array<string | Object>,
+    paths:
+      | { [lockArg: string]: string }
+      | { accountPath: string, extendedPublicKey?: ExtendedPublicKey, gapLimit?: number },
+    changePath: string | BIPPath | [number],
+    options: ExchangeOptions = {}
+  ): Promise<{
+    signatures: Array<{
+      lockArg: string,
+      path: string | BIPPath | [number],
+      inputs: Array<number>,
+      signature: string,
+    }>,
+    hash: string,
+    hex: string,
+    json: Object,
+  }> {
+    let pathMap: { [lockArg: string]: string } = (paths: any);
+    if (typeof paths.accountPath === "string") {
+      const { accountPath, extendedPublicKey, gapLimit = DEFAULT_GAP_LIMIT }: any = paths;
+      const accountKey =
+        extendedPublicKey || (await this.getWalletExtendedPublicKey(accountPath));
+      pathMap = lockArgPaths(accountPath, accountKey, gapLimit);
+    }
+    return this.signScriptGroups(
+      rawTx,
+      witnesses,
+      rawContextsTx,
+      Object.keys(pathMap).map((lockArg) => ({ lockArg, path: pathMap[lockArg] })),
+      changePath,
+      options
+    );
+  }
+
+  /**
+   * Sign the multisig group of a transaction as one of its cosigners
+   *
+   * The group is made of the inputs locked by the multisig lock of config on
+   * the configured network. Its first witness gets the multisig script and
+   * empty signature slots as lock while signing. Collect the signatures of
+   * enough cosigners, then put them into the transaction with
+   * assembleMultisigTransaction.
+   *
+   * @param signPath the cosigner's path, in BIP 32 format
+   * @param rawTx transaction to sign
+   * @param witnesses all of the transaction's witnesses
+   * @param rawContextsTx list of transaction contexts for parsing, aligned with the inputs, or null to fetch them with the resolver
+   * @param config the multisig configuration of the group
+   * @param changePath the path the transaction sends change to, in BIP 32 format
+   * @param options the options of signAnnotatedTransaction; lockArg is the cosigner's own
+   * @return the signature, the signed inputs and the signed message
+   * @example
+   * const partials = [];
+   * for (const ckb of cosigners) {
+   *   partials.push((await ckb.signMultisigTransaction(path, rawTx, witnesses, contexts, config, path)).signature);
+   * }
+   * const { json } = assembleMultisigTransaction(rawTx, witnesses, contexts, config, partials);
+   */
+  async signMultisigTransaction(
+    signPath: string | BIPPath | [number],
+    rawTx: string | Object,
+    witnesses: Array<string>,
+    rawContextsTx: ?Array<string | Object>,
+    config: MultisigConfig,
+    changePath: string | BIPPath | [number],
+    options: SignOptions = {}
+  ): Promise<{ signature: string, inputs: Array<number>, message: string }> {
+    await this.requireFeature(Features.MULTISIG, Instructions.SIGN_TRANSACTION);
+    const contexts = await this.resolveContextTransactions(rawTx, rawContextsTx);
+    const inputs = multisigGroup(rawTx, contexts, config, this.network);
+    const inputCount = toRawTransactionView(rawTx).getInputs().length();
+    const groupWitnesses: any = multisigGroupWitnesses(witnesses, inputs, inputCount, config);
+    const signature = await this.signAnnotatedTransaction(
+      this.buildAnnotatedTransaction(
+        signPath,
+        rawTx,
+        groupWitnesses,
+        (contexts: any),
+        changePath
+      ),
+      options
+    );
+    return {
+      signature,
+      inputs,
+      message: computeMultisigMessage(rawTx, witnesses, inputs, config),
+    };
+  }
+
+  /**
+   * Build an AnnotatedTransaction depositing capacity into the Nervos DAO
+   *
+   * @param signPath the path owning the inputs, in BIP 32 format
+   * @param options the options of daoDepositTransaction; network defaults to the configured one
+   * @param changePath the path the transaction sends change to, in BIP 32 format
+   * @return an AnnotatedTransaction ready for signAnnotatedTransaction
+   * @example
+   * const tx = ckb.buildDaoDepositTransaction(path, {
+   *   inputs, capacity: "0x174876e800", lock, changeLock: lock, fee: "0x186a0",
+   * }, path);
+   * const signature = await ckb.signAnnotatedTransaction(tx);
+   * const { json } = assembleTransaction(rawTransactionFromAnnotated(tx), tx.witnesses, { 0: signature });
+   */
+  buildDaoDepositTransaction(
+    signPath: string | BIPPath | [number],
+    options: Object,
+    changePath: string | BIPPath | [number]
+  ): AnnotatedTransactionJSON {
+    return this.buildUnsignedTransaction(
+      signPath,
+      daoDepositTransaction({ network: this.network, ...options }),
+      changePath
+    );
+  }
+
+  /**
+   * Build the AnnotatedTransaction of phase 1 of a DAO withdraw
+   *
+   * @param signPath the path owning the deposit and fee cells, in BIP 32 format
+   * @param options the options of daoWithdrawTransaction; network defaults to the configured one
+   * @param changePath the path the transaction sends change to, in BIP 32 format
+   * @return an AnnotatedTransaction ready for signAnnotatedTransaction
+   */
+  buildDaoWithdrawTransaction(
+    signPath: string | BIPPath | [number],
+    options: Object,
+    changePath: string | BIPPath | [number]
+  ): AnnotatedTransactionJSON {
+    return this.buildUnsignedTransaction(
+      signPath,
+      daoWithdrawTransaction({ network: this.network, ...options }),
+      changePath
+    );
+  }
+
+  /**
+   * Build the AnnotatedTransaction of phase 2 of a DAO withdraw, unlocking a
+   * withdrawing cell. Given depositHeader and withdrawHeader instead of the
+   * block hashes, epochs and capacity, the maximum withdraw capacity is
+   * computed from the headers.
+   *
+   * @param signPath the path owning the withdrawing cell, in BIP 32 format
+   * @param options the options of daoUnlockTransaction or daoUnlockTransactionFromHeaders; network defaults to the configured one
+   * @param changePath the path receiving the unlocked capacity, in BIP 32 format
+   * @return an AnnotatedTransaction ready for signAnnotatedTransaction
+   */
+  buildDaoUnlockTransaction(
+    signPath: string | BIPPath | [number],
+    options: Object,
+    changePath: string | BIPPath | [number]
+  ): AnnotatedTransactionJSON {
+    return this.buildUnsignedTransaction(
+      signPath,
+      options.depositHeader
+        ? daoUnlockTransactionFromHeaders({ network: this.network, ...options })
+        : daoUnlockTransaction({ network: this.network, ...options }),
+      changePath
+    );
+  }
+
+  buildUnsignedTransaction(
+    signPath: string | BIPPath | [number],
+    { rawTx, witnesses, contexts }: UnsignedTransaction,
+    changePath: string | BIPPath | [number]
+  ): AnnotatedTransactionJSON {
+    return this.buildAnnotatedTransaction(
+      signPath,
+      rawTx,
+      (witnesses: any),
+      (contexts: any),
+      changePath
     );
   }
 
@@ -241,34 +1041,82 @@ export default class Ckb {
     };
   }
 
+  /**
+   * Summarize an AnnotatedTransaction the way the device displays it for
+   * approval: input and output capacities, each output's address, which
+   * outputs are change, the fee, DAO operations and unknown type scripts.
+   *
+   * The change lock arg is read from the device unless options.changeLockArg
+   * is given.
+   *
+   * @param tx the transaction, as returned by buildAnnotatedTransaction
+   * @param options.changeLockArg the lock arg of the transaction's changePath
+   * @param options.network the network to format addresses for, the network given to the constructor by default
+   * @return a TransactionPreview
+   * @example
+   * const tx = ckb.buildAnnotatedTransaction(path, rawTx, null, contexts, changePath);
+   * const { outputs, fee } = await ckb.describeAnnotatedTransaction(tx);
+   */
+  async describeAnnotatedTransaction(
+    tx: AnnotatedTransaction | AnnotatedTransactionJSON,
+    { changeLockArg, network = this.network }: { changeLockArg?: string, network?: Network } = {}
+  ): Promise<TransactionPreview> {
+    let lockArg = changeLockArg;
+    if (lockArg == null) {
+      const changePath = "view" in tx ? tx.toObject().changePath : tx.changePath;
+      lockArg = publicKeyToLockArg(await this.getWalletPublicKeyAt(changePath));
+    }
+    return describeAnnotatedTransaction(tx, { changeLockArg: lockArg, network });
+  }
+
   /**
    * Sign an already constructed AnnotatedTransaction.
+   *
+   * @param tx the transaction to sign
+   * @param options.onProgress called with {sentBytes, totalBytes, chunk, chunks, phase} as chunks are sent
+   * @param options.signal an AbortSignal that stops sending further chunks
+   * @param options.lockArg if given, the signature is checked to come from
+   * this lock arg and a SignatureMismatchError is thrown otherwise
    */
   async signAnnotatedTransaction(
-    tx: AnnotatedTransaction | AnnotatedTransactionJSON
+    tx: AnnotatedTransaction | AnnotatedTransactionJSON,
+    { onProgress, signal, lockArg }: SignOptions = {}
   ): Promise<string> {
     const rawAnTx = Buffer.from(blockchain.SerializeAnnotatedTransaction(tx));
 
-    const maxApduSize = 230;
-
-    let txFullChunks = Math.floor(rawAnTx.byteLength / maxApduSize);
-    let isContinuation = 0x00;
-    for (let i = 0; i < txFullChunks; i++) {
-      let data = rawAnTx.slice(i * maxApduSize, (i + 1) * maxApduSize);
-      await this.transport.send(0x80, 0x03, isContinuation, 0x00, data);
-      isContinuation = 0x01;
+    const signature = await this.sendSigningChunks(
+      Instructions.SIGN_TRANSACTION,
+      chunkPayload(rawAnTx, this.chunkSize),
+      { onProgress, signal }
+    );
+    if (lockArg) {
+      assertSignature(
+        computeAnnotatedTransactionMessage(tx),
+        signature,
+        lockArg,
+        Instructions.SIGN_TRANSACTION
+      );
     }
+    return signature;
+  }
 
-    let lastOffset = txFullChunks * maxApduSize;
-    let lastData = rawAnTx.slice(lastOffset, lastOffset + maxApduSize);
-    let response = await this.transport.send(
-      0x80,
-      0x03,
-      isContinuation | 0x80,
-      0x00,
-      lastData
-    );
-    return response.slice(0,65).toString("hex");
+  /**
+   * Stream the chunks of a signing instruction and read the signature.
+   *
+   * The device is held for the whole stream, so that no other call's APDUs
+   * land between its chunks.
+   */
+  async sendSigningChunks(
+    ins: number,
+    chunks: Array<Buffer>,
+    { onProgress, signal }: ExchangeOptions = {}
+  ): Promise<string> {
+    const response = await exchangeChunks(this.sendApdu.bind(this), ins, chunks, {
+      responseLength: SIGNATURE_LENGTH,
+      onProgress,
+      signal,
+    });
+    return response.slice(0, SIGNATURE_LENGTH).toString("hex");
   }
 
   /**
@@ -293,12 +1141,42 @@ export default class Ckb {
     version: string,
     hash: string,
   }> {
-    const response1 = await this.transport.send(0x80, 0x00, 0x00, 0x00);
-    const response2 = await this.transport.send(0x80, 0x09, 0x00, 0x00);
-    return {
+    const response1 = await this.sendApdu(Instructions.GET_APP_VERSION, 0x00, 0x00);
+    const response2 = await this.sendApdu(Instructions.GET_APP_GIT_HASH, 0x00, 0x00);
+    this.appConfiguration = {
       version: "" + response1[0] + "." + response1[1] + "." + response1[2],
       hash: response2.slice(0, -3).toString("latin1") // last 3 bytes should be 0x009000
     };
+    return this.appConfiguration;
+  }
+
+  /**
+   * Get the features supported by the Nervos app installed on the device
+   *
+   * The app configuration is only fetched from the device if it is not
+   * already known. Methods needing a feature the app lacks fail with an
+   * AppUpgradeRequiredError without sending their own APDUs to the device.
+   *
+   * @return an object mapping each of Features to whether it is supported
+   * @example
+   * const capabilities = await ckb.getAppCapabilities();
+   * if (!capabilities[Features.SIGN_MESSAGE]) {
+   *   // ask the user to upgrade
+   * }
+   */
+  async getAppCapabilities(): Promise<{ [feature: string]: boolean }> {
+    const { version } = this.appConfiguration || (await this.getAppConfiguration());
+    return getCapabilities(version);
+  }
+
+  /**
+   * Throw an AppUpgradeRequiredError if the app lacks a feature, before
+   * anything needing it is sent to the device. The app configuration is
+   * fetched once, the first time a feature is required.
+   */
+  async requireFeature(feature: string, ins: ?number): Promise<void> {
+    const { version } = this.appConfiguration || (await this.getAppConfiguration());
+    assertFeature(version, feature, ins);
   }
 
   /**
@@ -311,18 +1189,32 @@ export default class Ckb {
    * "0x69c46b6dd072a2693378ef4f5f35dcd82f826dc1fdcc891255db5870f54b06e6"
    */
   async getWalletId(): Promise<string> {
-    const response = await this.transport.send(0x80, 0x01, 0x00, 0x00);
+    const response = await this.sendApdu(Instructions.GET_WALLET_ID, 0x00, 0x00);
 
     const result = response.slice(0, 32).toString("hex");
 
     return result;
   }
 
+  /**
+   * Sign an arbitrary message, prefixed with "Nervos Message:", with a given BIP 32 path
+   *
+   * @param path the path to sign with, in BIP 32 format
+   * @param rawMsgHex the message to sign, as hex
+   * @param displayHex whether the device shows the message as hex rather than text
+   * @param options an optional onProgress callback, AbortSignal and expected lockArg, see signAnnotatedTransaction
+   * @return a signature as hex string
+   */
   async signMessage(
     path: string,
     rawMsgHex: string,
-    displayHex: bool
+    displayHex: bool,
+    { onProgress, signal, lockArg }: SignOptions = {}
   ): Promise<string> {
+    await this.requireFeature(Features.SIGN_MESSAGE, Instructions.SIGN_MESSAGE);
+    if (displayHex) {
+      await this.requireFeature(Features.MESSAGE_HEX_DISPLAY, Instructions.SIGN_MESSAGE);
+    }
     const bipPath = BIPPath.fromString(path).toPathArray();
     const magicBytes = Buffer.from("Nervos Message:");
     const rawMsg = Buffer.concat([magicBytes, Buffer.from(rawMsgHex, "hex")]);
@@ -334,20 +1226,22 @@ export default class Ckb {
     bipPath.forEach((segment, index) => {
       rawPath.writeUInt32BE(segment, 2 + index * 4);
     });
-    await this.transport.send(0x80, 0x06, 0x00, 0x00, rawPath);
-
-    // Msg Chunking
-    const maxApduSize = 230;
-    let txFullChunks = Math.floor(rawMsg.length / maxApduSize);
-    for (let i = 0; i < txFullChunks; i++) {
-      let data = rawMsg.slice(i*maxApduSize, (i+1)*maxApduSize);
-      await this.transport.send(0x80, 0x06, 0x01, 0x00, data);
-    }
 
-    let lastOffset = Math.floor(rawMsg.length / maxApduSize) * maxApduSize;
-    let lastData = rawMsg.slice(lastOffset, lastOffset+maxApduSize);
-    let response = await this.transport.send(0x80, 0x06, 0x81, 0x00, lastData);
-    return response.slice(0,65).toString("hex");
+    // The path travels in its own first chunk, ahead of the message chunks
+    const signature = await this.sendSigningChunks(
+      Instructions.SIGN_MESSAGE,
+      [rawPath, ...chunkPayload(rawMsg, this.chunkSize)],
+      { onProgress, signal }
+    );
+    if (lockArg) {
+      assertSignature(
+        computeMessageHash(rawMsgHex),
+        signature,
+        lockArg,
+        Instructions.SIGN_MESSAGE
+      );
+    }
+    return signature;
   }
 
 }
@@ -0,0 +1,101 @@
+// @flow
+
+import { Chains, deriveChildPublicKey } from "./bip32";
+import type { ExtendedPublicKey } from "./bip32";
+import { compressPublicKey, publicKeyToLockArg } from "./secp256k1";
+import { scriptToAddress } from "./address";
+import { MAINNET, systemScript } from "./network";
+import { parseExtendedPublicKey } from "./xpub";
+import type { Network } from "./network";
+
+export type DerivedAddress = {
+  path: string,
+  chain: number,
+  index: number,
+  publicKey: string,
+  lockArg: string,
+  address: string,
+};
+
+/**
+ * The receiving and change addresses of a BIP 44 account, derived offline
+ * from the account's extended public key.
+ *
+ * @example
+ * const account = await ckb.getWatchOnlyAccount("44'/309'/0'");
+ * const { address } = account.receivingAddress(0);
+ */
+export class WatchOnlyAccount {
+  accountPath: string;
+  extendedPublicKey: ExtendedPublicKey;
+  network: Network;
+  chainKeys: { [chain: number]: ExtendedPublicKey } = {};
+
+  /**
+   * @param extendedPublicKey the account's key, as returned by getWalletExtendedPublicKey or as a Base58Check xpub
+   * @param options.accountPath the account's path, "44'/309'/0'" by default
+   * @param options.network the network to format addresses for, MAINNET by default
+   */
+  constructor(
+    extendedPublicKey: ExtendedPublicKey | string,
+    {
+      accountPath = "44'/309'/0'",
+      network = MAINNET,
+    }: { accountPath?: string, network?: Network } = {}
+  ) {
+    const key =
+      typeof extendedPublicKey === "string"
+        ? parseExtendedPublicKey(extendedPublicKey)
+        : extendedPublicKey;
+    this.accountPath = accountPath.replace(/^m\//, "");
+    this.extendedPublicKey = {
+      public_key: compressPublicKey(key.public_key),
+      chain_code: key.chain_code.replace(/^0x/, ""),
+    };
+    this.network = network;
+  }
+
+  chainKey(chain: number): ExtendedPublicKey {
+    if (!(chain in this.chainKeys)) {
+      this.chainKeys[chain] = deriveChildPublicKey(this.extendedPublicKey, chain);
+    }
+    return this.chainKeys[chain];
+  }
+
+  /**
+   * Derive the address at index on chain.
+   */
+  derive(chain: number, index: number): DerivedAddress {
+    const publicKey = deriveChildPublicKey(this.chainKey(chain), index).public_key;
+    const lockArg = publicKeyToLockArg(publicKey);
+    return {
+      path: `${this.accountPath}/${chain}/${index}`,
+      chain,
+      index,
+      publicKey,
+      lockArg,
+      address: scriptToAddress(systemScript(this.network.scripts.SECP256K1_BLAKE160, lockArg), {
+        network: this.network,
+      }),
+    };
+  }
+
+  receivingAddress(index: number): DerivedAddress {
+    return this.derive(Chains.RECEIVING, index);
+  }
+
+  changeAddress(index: number): DerivedAddress {
+    return this.derive(Chains.CHANGE, index);
+  }
+
+  /**
+   * Derive count consecutive addresses of chain, starting at start.
+   */
+  addresses(chain: number, start: number, count: number): Array<DerivedAddress> {
+    const result = [];
+    for (let index = start; index < start + count; index++) {
+      result.push(this.derive(chain, index));
+    }
+    return result;
+  }
+}
@@ -0,0 +1,131 @@
+// @flow
+
+import { scriptToAddress } from "./address";
+import type { Script } from "./address";
+import { MAINNET, systemScript } from "./network";
+import type { Network } from "./network";
+import type { ScriptGroup } from "./scriptGroups";
+
+const LOCK_ARG_LENGTH = 20;
+
+/**
+ * The minimum amounts an anyone-can-pay cell accepts per payment, as powers
+ * of ten: a payment must add at least 10^minimumCkb shannons or
+ * 10^minimumUdt UDT base units. Without minimums any amount is accepted.
+ */
+export type AcpMinimums = {
+  minimumCkb?: ?number,
+  minimumUdt?: ?number,
+};
+
+const strip0x = (hex: string): string => hex.replace(/^0x/, "").toLowerCase();
+
+const assertExponent = (name: string, exponent: number) => {
+  if (!Number.isInteger(exponent) || exponent < 0 || exponent > 255) {
+    throw new Error(`Invalid ${name}: ${exponent}`);
+  }
+};
+
+/**
+ * The ANYONE_CAN_PAY lock args of a lock arg: the lock arg followed by the
+ * optional minimum CKB and minimum UDT exponents, one byte each. A minimum
+ * UDT amount needs a minimum CKB amount before it.
+ *
+ * @return the args as hex string
+ */
+export function acpArgs(
+  lockArg: string,
+  { minimumCkb, minimumUdt }: AcpMinimums = {}
+): string {
+  const arg = strip0x(lockArg);
+  if (!/^[0-9a-f]{40}$/.test(arg)) {
+    throw new Error("Not a valid lock arg: " + lockArg);
+  }
+  const minimums = [];
+  if (minimumCkb != null) {
+    assertExponent("minimum CKB", minimumCkb);
+    minimums.push(minimumCkb);
+  }
+  if (minimumUdt != null) {
+    if (minimumCkb == null) {
+      throw new Error("A minimum UDT amount needs a minimum CKB amount");
+    }
+    assertExponent("minimum UDT", minimumUdt);
+    minimums.push(minimumUdt);
+  }
+  return arg + Buffer.from(minimums).toString("hex");
+}
+
+/**
+ * Split ANYONE_CAN_PAY lock args into the lock arg and the minimums.
+ */
+export function parseAcpArgs(args: string): { lockArg: string } & AcpMinimums {
+  const bytes = Buffer.from(strip0x(args), "hex");
+  if (bytes.length < LOCK_ARG_LENGTH || bytes.length > LOCK_ARG_LENGTH + 2) {
+    throw new Error(`Invalid anyone-can-pay args length: ${bytes.length}`);
+  }
+  return {
+    lockArg: bytes.slice(0, LOCK_ARG_LENGTH).toString("hex"),
+    minimumCkb: bytes.length > LOCK_ARG_LENGTH ? bytes[LOCK_ARG_LENGTH] : null,
+    minimumUdt: bytes.length > LOCK_ARG_LENGTH + 1 ? bytes[LOCK_ARG_LENGTH + 1] : null,
+  };
+}
+
+/**
+ * The ANYONE_CAN_PAY lock of a lock arg.
+ */
+export function acpLockScript(
+  lockArg: string,
+  minimums: AcpMinimums = {},
+  network: Network = MAINNET
+): Script {
+  return systemScript(network.scripts.ANYONE_CAN_PAY, acpArgs(lockArg, minimums));
+}
+
+/**
+ * The full address of the ANYONE_CAN_PAY lock of a lock arg.
+ */
+export function acpAddress(
+  lockArg: string,
+  minimums: AcpMinimums = {},
+  network: Network = MAINNET
+): string {
+  return scriptToAddress(acpLockScript(lockArg, minimums, network), { network });
+}
+
+/**
+ * Whether script is the ANYONE_CAN_PAY lock of network, whatever its
+ * minimums.
+ */
+export function isAcpLock(script: Object, network: Network = MAINNET): boolean {
+  const { code_hash, hash_type } = network.scripts.ANYONE_CAN_PAY;
+  return strip0x(script.code_hash) === strip0x(code_hash) && script.hash_type === hash_type;
+}
+
+/**
+ * The groups locked by the ANYONE_CAN_PAY lock of network whose args start
+ * with one of lockArgs, each paired with the lock arg it matched.
+ */
+export function findAcpGroupsForLockArgs(
+  groups: Array<ScriptGroup>,
+  lockArgs: Array<string>,
+  network: Network = MAINNET
+): Array<ScriptGroup & { lockArg: string }> {
+  const args = lockArgs.map(strip0x);
+  const matches = [];
+  groups.forEach((group) => {
+    if (!isAcpLock(group.script, network)) {
+      return;
+    }
+    let lockArg;
+    try {
+      lockArg = parseAcpArgs(group.script.args).lockArg;
+    } catch (e) {
+      return;
+    }
+    if (args.includes(lockArg)) {
+      matches.push({ ...group, lockArg });
+    }
+  });
+  return matches;
+}
@@ -0,0 +1,243 @@
+// @flow
+
+import { bech32, bech32m } from "bech32";
+import { MAINNET, TESTNET, networkForPrefix } from "./network";
+import type { Network } from "./network";
+
+// CKB address is longer than the longest Bitcoin address
+// The bech32m encoding limit should be increased
+const BECH32_LIMIT = 1023;
+
+export const AddressPrefix = {
+  MAINNET: MAINNET.prefix,
+  TESTNET: TESTNET.prefix,
+};
+
+/**
+ * The format type byte leading an address payload. FULL is the CKB2021
+ * format, encoded with bech32m; the others are deprecated and use bech32.
+ */
+export const AddressFormat = {
+  FULL: 0x00,
+  SHORT: 0x01,
+  FULL_DATA: 0x02,
+  FULL_TYPE: 0x04,
+};
+
+export type Script = {
+  code_hash: string,
+  hash_type: string,
+  args: string,
+};
+
+const HASH_TYPES = {
+  data: 0b00000000,
+  type: 0b00000001,
+  data1: 0b00000010,
+  data2: 0b00000100,
+};
+
+const strip0x = (hex: string): string => hex.replace(/^0x/, "").toLowerCase();
+
+// Code hashes behind the code hash index of the short format, all referenced
+// by type
+const shortCodeHashes = (network: Network): Array<string> =>
+  [
+    network.scripts.SECP256K1_BLAKE160,
+    network.scripts.SECP256K1_BLAKE160_MULTISIG,
+    network.scripts.ANYONE_CAN_PAY,
+  ].map(({ code_hash }) => strip0x(code_hash));
+
+const SHORT_ARGS_LENGTH = 20;
+
+const fromHex = (hex: string): Buffer => {
+  const stripped = strip0x(hex);
+  if (!/^([0-9a-f]{2})*$/.test(stripped)) {
+    throw new Error("Not a valid hex string: " + hex);
+  }
+  return Buffer.from(stripped, "hex");
+};
+
+type AddressOptions = {
+  network?: Network,
+  networks?: Array<Network>,
+  prefix?: string,
+};
+
+const assertPrefix = (prefix: string, { network, prefix: expected }: AddressOptions) => {
+  const required = network ? network.prefix : expected;
+  if (required && prefix !== required) {
+    throw new Error(`Wrong address prefix! Required: ${required}, actual: ${prefix}`);
+  }
+};
+
+// The network an address belongs to: the one given, or the first of networks,
+// the presets by default, matching the prefix
+const addressNetwork = (prefix: string, options: AddressOptions): Network => {
+  assertPrefix(prefix, options);
+  return options.network || networkForPrefix(prefix, options.networks);
+};
+
+/**
+ * Encode a script as a CKB address.
+ *
+ * @param script the script as JSON, as accepted by SerializeScript
+ * @param options.network the network to encode for, mainnet by default
+ * @param options.prefix the address prefix, used as given
+ * @param options.networks the networks a SHORT address's prefix is looked up in, MAINNET and TESTNET by default
+ * @param options.format one of AddressFormat, FULL by default
+ * @return the address
+ * @example
+ * scriptToAddress({ code_hash, hash_type: "type", args }, { prefix: AddressPrefix.TESTNET });
+ */
+export function scriptToAddress(
+  script: Script,
+  { network, networks, prefix, format = AddressFormat.FULL }: AddressOptions & { format?: number } = {}
+): string {
+  const addressPrefix = network ? network.prefix : prefix || AddressPrefix.MAINNET;
+  const codeHash = fromHex(script.code_hash);
+  if (codeHash.length !== 32) {
+    throw new Error(`Invalid code hash length! Required: 32, actual: ${codeHash.length}`);
+  }
+  if (!(script.hash_type in HASH_TYPES)) {
+    throw new Error("Not a valid hash type: " + script.hash_type);
+  }
+  const args = fromHex(script.args);
+  switch (format) {
+    case AddressFormat.FULL:
+      return bech32m.encode(
+        addressPrefix,
+        bech32m.toWords(
+          Buffer.concat([
+            Buffer.from([format]),
+            codeHash,
+            Buffer.from([HASH_TYPES[script.hash_type]]),
+            args,
+          ])
+        ),
+        BECH32_LIMIT
+      );
+    case AddressFormat.SHORT: {
+      // Only short addresses depend on the network, through its system scripts
+      const shortNetwork = addressNetwork(addressPrefix, { network, networks });
+      const index = shortCodeHashes(shortNetwork).indexOf(codeHash.toString("hex"));
+      if (index < 0 || script.hash_type !== "type" || args.length !== SHORT_ARGS_LENGTH) {
+        throw new Error("Script has no short address");
+      }
+      return bech32.encode(
+        addressPrefix,
+        bech32.toWords(Buffer.concat([Buffer.from([format, index]), args])),
+        BECH32_LIMIT
+      );
+    }
+    case AddressFormat.FULL_DATA:
+    case AddressFormat.FULL_TYPE:
+      if (script.hash_type !== (format === AddressFormat.FULL_DATA ? "data" : "type")) {
+        throw new Error(`Hash type ${script.hash_type} does not fit address format ${format}`);
+      }
+      return bech32.encode(
+        addressPrefix,
+        bech32.toWords(Buffer.concat([Buffer.from([format]), codeHash, args])),
+        BECH32_LIMIT
+      );
+    default:
+      throw new Error("Unknown address format: " + format);
+  }
+}
+
+const decodeWords = (address: string): { prefix: string, bytes: Buffer, bech32m: boolean } => {
+  try {
+    const { prefix, words } = bech32m.decode(address, BECH32_LIMIT);
+    return { prefix, bytes: Buffer.from(bech32m.fromWords(words)), bech32m: true };
+  } catch (e) {
+    try {
+      const { prefix, words } = bech32.decode(address, BECH32_LIMIT);
+      return { prefix, bytes: Buffer.from(bech32.fromWords(words)), bech32m: false };
+    } catch (e) {
+      throw new Error("Not a valid address: " + e.message);
+    }
+  }
+};
+
+/**
+ * Decode a CKB address of any format, checking its checksum and prefix.
+ *
+ * @param address the address
+ * @param options.network if given, the network the address must belong to
+ * @param options.networks the networks a SHORT address's prefix is looked up in otherwise, MAINNET and TESTNET by default
+ * @param options.prefix if given, the prefix the address must have
+ * @return the address prefix, its format and the script as JSON
+ */
+export function parseAddress(
+  address: string,
+  options: AddressOptions = {}
+): { prefix: string, format: number, script: Script } {
+  const { prefix, bytes, bech32m: isBech32m } = decodeWords(address);
+  assertPrefix(prefix, options);
+  const format = bytes[0];
+  if (isBech32m !== (format === AddressFormat.FULL)) {
+    throw new Error(`Address format ${format} encoded with the wrong checksum`);
+  }
+  const toHex = (buffer) => "0x" + buffer.toString("hex");
+  switch (format) {
+    case AddressFormat.FULL: {
+      const hashType = Object.keys(HASH_TYPES).find((key) => HASH_TYPES[key] === bytes[33]);
+      if (bytes.length < 34 || hashType === undefined) {
+        throw new Error("Invalid full address");
+      }
+      return {
+        prefix,
+        format,
+        script: {
+          code_hash: toHex(bytes.slice(1, 33)),
+          hash_type: hashType,
+          args: toHex(bytes.slice(34)),
+        },
+      };
+    }
+    case AddressFormat.SHORT: {
+      const codeHash = shortCodeHashes(addressNetwork(prefix, options))[bytes[1]];
+      if (bytes.length !== 2 + SHORT_ARGS_LENGTH || codeHash === undefined) {
+        throw new Error("Invalid short address");
+      }
+      return {
+        prefix,
+        format,
+        script: {
+          code_hash: "0x" + codeHash,
+          hash_type: "type",
+          args: toHex(bytes.slice(2)),
+        },
+      };
+    }
+    case AddressFormat.FULL_DATA:
+    case AddressFormat.FULL_TYPE:
+      if (bytes.length < 33) {
+        throw new Error("Invalid full address");
+      }
+      return {
+        prefix,
+        format,
+        script: {
+          code_hash: toHex(bytes.slice(1, 33)),
+          hash_type: format === AddressFormat.FULL_DATA ? "data" : "type",
+          args: toHex(bytes.slice(33)),
+        },
+      };
+    default:
+      throw new Error("Unknown address format: " + format);
+  }
+}
+
+/**
+ * Decode a CKB address of any format into its script.
+ *
+ * @param address the address
+ * @param options.network if given, the network the address must belong to
+ * @param options.networks the networks a SHORT address's prefix is looked up in otherwise, MAINNET and TESTNET by default
+ * @param options.prefix if given, the prefix the address must have
+ * @return the script as JSON
+ */
+export function addressToScript(address: string, options: AddressOptions = {}): Script {
+  return parseAddress(address, options).script;
+}
@@ -0,0 +1,95 @@
+// @flow
+
+import BN from "bn.js";
+import { ec as EC } from "elliptic";
+import hash from "hash.js";
+import { publicKeyToLockArg } from "./secp256k1";
+
+const curve = new EC("secp256k1");
+
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * Receiving and change chains of a BIP 44 account.
+ */
+export const Chains = {
+  RECEIVING: 0,
+  CHANGE: 1,
+};
+
+export type ExtendedPublicKey = {
+  public_key: string,
+  chain_code: string,
+};
+
+const strip0x = (hex: string): string => hex.replace(/^0x/, "");
+
+/**
+ * Derive the non-hardened child index of an extended public key (BIP 32
+ * CKDpub).
+ *
+ * @return the child's extended public key, with a compressed public key
+ */
+export function deriveChildPublicKey(
+  parent: ExtendedPublicKey,
+  index: number
+): ExtendedPublicKey {
+  if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+    throw new Error(`Cannot derive hardened or invalid index ${index} from a public key`);
+  }
+  const parentKey = curve.keyFromPublic(strip0x(parent.public_key), "hex").getPublic();
+  const data = Buffer.alloc(37);
+  Buffer.from(parentKey.encode("hex", true), "hex").copy(data, 0);
+  data.writeUInt32BE(index, 33);
+  const digest = hash
+    .hmac(hash.sha512, Buffer.from(strip0x(parent.chain_code), "hex"))
+    .update(data)
+    .digest();
+  const tweak = new BN(digest.slice(0, 32));
+  if (tweak.cmp(curve.n) >= 0 || tweak.isZero()) {
+    throw new Error(`Invalid child key at index ${index}`);
+  }
+  const childKey = curve.g.mul(tweak).add(parentKey);
+  if (childKey.isInfinity()) {
+    throw new Error(`Invalid child key at index ${index}`);
+  }
+  return {
+    public_key: childKey.encode("hex", true),
+    chain_code: Buffer.from(digest.slice(32)).toString("hex"),
+  };
+}
+
+/**
+ * Derive a path of non-hardened indices, such as [1, 5] for .../1/5, from an
+ * extended public key.
+ */
+export function derivePublicKeyPath(
+  parent: ExtendedPublicKey,
+  indices: Array<number>
+): ExtendedPublicKey {
+  return indices.reduce(deriveChildPublicKey, parent);
+}
+
+/**
+ * Map the lock args of the first count receiving and change addresses of an
+ * account to their BIP 32 paths.
+ *
+ * @param accountPath the account's path, such as "44'/309'/0'"
+ * @param accountKey the account's extended public key
+ * @param count how many addresses to derive on each chain
+ */
+export function lockArgPaths(
+  accountPath: string,
+  accountKey: ExtendedPublicKey,
+  count: number
+): { [lockArg: string]: string } {
+  const paths = {};
+  [Chains.RECEIVING, Chains.CHANGE].forEach((chain) => {
+    const chainKey = deriveChildPublicKey(accountKey, chain);
+    for (let index = 0; index < count; index++) {
+      const { public_key } = deriveChildPublicKey(chainKey, index);
+      paths[publicKeyToLockArg(public_key)] = `${accountPath}/${chain}/${index}`;
+    }
+  });
+  return paths;
+}
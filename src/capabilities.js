@@ -0,0 +1,92 @@
+// @flow
+
+import { AppUpgradeRequiredError } from "./errors";
+
+export type Version = {
+  major: number,
+  minor: number,
+  patch: number,
+};
+
+/**
+ * Features of the Nervos app that not every released version understands.
+ */
+export const Features = {
+  EXTENDED_PUBLIC_KEY: "extended public keys",
+  SIGN_MESSAGE: "message signing",
+  MESSAGE_HEX_DISPLAY: "hex message display",
+  MULTISIG: "multisig signing",
+};
+
+/**
+ * The first Nervos app version supporting each feature.
+ *
+ * ChangeLog.md records the releases this library was tested with: app
+ * v0.5.0 (hw-app-ckb v0.1.0) and v0.5.1 (v0.1.2). Extended public keys and
+ * message signing with hex display were already part of hw-app-ckb v0.1.0,
+ * so 0.5.0 is the oldest release known to support them. Older releases are
+ * refused rather than assumed to work.
+ *
+ * Multisig groups are signed with the same instruction as any other group,
+ * on the device's SIGN_TRANSACTION path that 0.5.0 already had.
+ */
+export const FeatureVersions = {
+  [Features.EXTENDED_PUBLIC_KEY]: "0.5.0",
+  [Features.SIGN_MESSAGE]: "0.5.0",
+  [Features.MESSAGE_HEX_DISPLAY]: "0.5.0",
+  [Features.MULTISIG]: "0.5.0",
+};
+
+/**
+ * Parse a "major.minor.patch" version string, ignoring any pre-release or
+ * build suffix.
+ */
+export function parseVersion(version: string): Version {
+  const match = /^v?(\d+)\.(\d+)\.(\d+)/.exec(version);
+  if (!match) {
+    throw new Error(`Not a valid app version: ${version}`);
+  }
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10),
+  };
+}
+
+/**
+ * Compare two version strings, returning a negative number, zero or a
+ * positive number as a is older than, equal to or newer than b.
+ */
+export function compareVersions(a: string, b: string): number {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  return va.major - vb.major || va.minor - vb.minor || va.patch - vb.patch;
+}
+
+export function supportsFeature(version: string, feature: string): boolean {
+  const requiredVersion = FeatureVersions[feature];
+  if (requiredVersion === undefined) {
+    throw new Error(`Unknown feature: ${feature}`);
+  }
+  return compareVersions(version, requiredVersion) >= 0;
+}
+
+/**
+ * The set of features supported by a given Nervos app version.
+ */
+export function getCapabilities(version: string): { [feature: string]: boolean } {
+  const capabilities = {};
+  Object.keys(FeatureVersions).forEach((feature) => {
+    capabilities[feature] = supportsFeature(version, feature);
+  });
+  return capabilities;
+}
+
+/**
+ * Throw an AppUpgradeRequiredError unless version supports feature.
+ */
+export function assertFeature(version: string, feature: string, ins: ?number) {
+  if (!supportsFeature(version, feature)) {
+    throw new AppUpgradeRequiredError(feature, version, FeatureVersions[feature], ins);
+  }
+}
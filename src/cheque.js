@@ -0,0 +1,138 @@
+// @flow
+
+import { computeScriptHash } from "./hash";
+import { scriptToAddress } from "./address";
+import type { Script } from "./address";
+import { MAINNET, systemScript } from "./network";
+import type { Network } from "./network";
+import type { ScriptGroup } from "./scriptGroups";
+
+const LOCK_HASH_PREFIX_LENGTH = 20;
+
+/**
+ * How a cheque cell is unlocked: claimed by its receiver, or withdrawn by its
+ * sender once the cheque has matured.
+ */
+export const ChequeAction = {
+  CLAIM: "claim",
+  WITHDRAW: "withdraw",
+};
+
+/**
+ * The since a withdrawing input must use: 6 epochs after the cheque cell was
+ * created, as relative epoch.
+ */
+export const CHEQUE_WITHDRAW_SINCE = "0xa000000000000006";
+
+const strip0x = (hex: string): string => hex.replace(/^0x/, "").toLowerCase();
+
+const lockHashPrefix = (name: string, lockHash: string): string => {
+  const hash = strip0x(lockHash);
+  if (!/^[0-9a-f]{40}([0-9a-f]{24})?$/.test(hash)) {
+    throw new Error(`Not a valid ${name} lock hash: ${lockHash}`);
+  }
+  return hash.slice(0, LOCK_HASH_PREFIX_LENGTH * 2);
+};
+
+/**
+ * The lock hash of the SECP256K1_BLAKE160 lock of a lock arg, as used for
+ * the sender and receiver of a cheque.
+ */
+export function secp256k1LockHash(lockArg: string, network: Network = MAINNET): string {
+  return computeScriptHash(systemScript(network.scripts.SECP256K1_BLAKE160, lockArg));
+}
+
+/**
+ * The cheque lock args: the first 20 bytes of the receiver's lock hash,
+ * then those of the sender's.
+ *
+ * @param lockHashes the receiver's and the sender's lock hashes, full or truncated to 20 bytes
+ * @return the args as hex string
+ */
+export function chequeArgs({
+  receiverLockHash,
+  senderLockHash,
+}: {
+  receiverLockHash: string,
+  senderLockHash: string,
+}): string {
+  return (
+    lockHashPrefix("receiver", receiverLockHash) + lockHashPrefix("sender", senderLockHash)
+  );
+}
+
+/**
+ * Split cheque lock args into the receiver's and the sender's lock hash
+ * prefixes.
+ */
+export function parseChequeArgs(
+  args: string
+): { receiverLockHash: string, senderLockHash: string } {
+  const hex = strip0x(args);
+  if (!/^[0-9a-f]{80}$/.test(hex)) {
+    throw new Error(`Invalid cheque args length: ${hex.length / 2}`);
+  }
+  return {
+    receiverLockHash: hex.slice(0, LOCK_HASH_PREFIX_LENGTH * 2),
+    senderLockHash: hex.slice(LOCK_HASH_PREFIX_LENGTH * 2),
+  };
+}
+
+/**
+ * The cheque lock between a receiver and a sender.
+ */
+export function chequeLockScript(
+  lockHashes: { receiverLockHash: string, senderLockHash: string },
+  network: Network = MAINNET
+): Script {
+  return systemScript(network.scripts.CHEQUE, chequeArgs(lockHashes));
+}
+
+/**
+ * The full address of the cheque lock between a receiver and a sender.
+ */
+export function chequeAddress(
+  lockHashes: { receiverLockHash: string, senderLockHash: string },
+  network: Network = MAINNET
+): string {
+  return scriptToAddress(chequeLockScript(lockHashes, network), { network });
+}
+
+/**
+ * The groups locked by the cheque lock of network whose receiver or sender
+ * is the SECP256K1_BLAKE160 lock of one of lockArgs, each paired with the
+ * lock arg it matched and the ChequeAction that lock arg can sign. A lock
+ * arg that is both receiver and sender claims.
+ */
+export function findChequeGroupsForLockArgs(
+  groups: Array<ScriptGroup>,
+  lockArgs: Array<string>,
+  network: Network = MAINNET
+): Array<ScriptGroup & { lockArg: string, action: string }> {
+  const { code_hash, hash_type } = network.scripts.CHEQUE;
+  const prefixes = lockArgs.map((lockArg) => ({
+    lockArg: strip0x(lockArg),
+    prefix: lockHashPrefix("secp256k1", secp256k1LockHash(lockArg, network)),
+  }));
+  const matches = [];
+  groups.forEach((group) => {
+    const { script } = group;
+    if (strip0x(script.code_hash) !== strip0x(code_hash) || script.hash_type !== hash_type) {
+      return;
+    }
+    let parsed;
+    try {
+      parsed = parseChequeArgs(script.args);
+    } catch (e) {
+      return;
+    }
+    const receiver = prefixes.find(({ prefix }) => prefix === parsed.receiverLockHash);
+    const sender = prefixes.find(({ prefix }) => prefix === parsed.senderLockHash);
+    if (receiver) {
+      matches.push({ ...group, lockArg: receiver.lockArg, action: ChequeAction.CLAIM });
+    } else if (sender) {
+      matches.push({ ...group, lockArg: sender.lockArg, action: ChequeAction.WITHDRAW });
+    }
+  });
+  return matches;
+}
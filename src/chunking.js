@@ -0,0 +1,134 @@
+// @flow
+
+import { AbortedError, InvalidResponseError } from "./errors";
+
+/**
+ * Largest payload the Nervos app accepts in a single APDU.
+ */
+export const DEFAULT_CHUNK_SIZE = 230;
+
+// APDU data is length-prefixed by a single byte.
+const MAX_CHUNK_SIZE = 255;
+
+/**
+ * P1 values framing a streamed instruction. The last chunk of a stream has
+ * LAST or-ed into whichever of FIRST/CONTINUE it would otherwise carry.
+ */
+export const Framing = {
+  FIRST: 0x00,
+  CONTINUE: 0x01,
+  LAST: 0x80,
+};
+
+/**
+ * Phases reported to an onProgress callback. AWAITING_CONFIRMATION is
+ * reported right before the last chunk is sent rather than after: the device
+ * shows the request once it has the last chunk and only answers it when the
+ * user approves or rejects, so sending it is what waits on the user.
+ */
+export const ProgressPhase = {
+  SENDING: "sending",
+  AWAITING_CONFIRMATION: "awaiting-confirmation",
+  COMPLETE: "complete",
+};
+
+export type Progress = {
+  sentBytes: number,
+  totalBytes: number,
+  chunk: number,
+  chunks: number,
+  phase: string,
+};
+
+export type ExchangeOptions = {
+  onProgress?: (progress: Progress) => void,
+  signal?: AbortSignal,
+};
+
+export type SendApdu = (
+  ins: number,
+  p1: number,
+  p2: number,
+  data?: Buffer
+) => Promise<Buffer>;
+
+/**
+ * Split a payload into chunks of at most chunkSize bytes.
+ *
+ * An empty payload still yields one (empty) chunk, and a payload that is an
+ * exact multiple of chunkSize does not get a trailing empty chunk.
+ */
+export function chunkPayload(
+  payload: Buffer,
+  chunkSize: number = DEFAULT_CHUNK_SIZE
+): Array<Buffer> {
+  if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+    throw new Error(`Invalid chunk size! Required: 1-${MAX_CHUNK_SIZE}, actual: ${chunkSize}`);
+  }
+  const chunks = [];
+  for (let offset = 0; offset < payload.length; offset += chunkSize) {
+    chunks.push(payload.slice(offset, offset + chunkSize));
+  }
+  if (chunks.length === 0) {
+    chunks.push(payload.slice(0, 0));
+  }
+  return chunks;
+}
+
+/**
+ * Stream chunks to the device as one instruction.
+ *
+ * The first chunk is sent with P1 = FIRST, the following ones with
+ * P1 = CONTINUE, and the last one additionally flagged with LAST. The
+ * response to the last chunk is returned once it has been checked to hold at
+ * least responseLength bytes before the status word.
+ *
+ * onProgress is called after every acknowledged chunk, and once more right
+ * before the last chunk is sent. signal is checked before each chunk is sent;
+ * an aborted signal stops the stream with an AbortedError. An instruction
+ * cannot be withdrawn once the device has some of its chunks: after an abort
+ * mid-stream the app keeps the partial instruction, shows nothing and waits
+ * for more chunks, until the next instruction starting with P1 = FIRST
+ * replaces it. Once the last chunk is sent, aborting has no effect: the user
+ * still approves or rejects the request on the device.
+ */
+export async function exchangeChunks(
+  send: SendApdu,
+  ins: number,
+  chunks: Array<Buffer>,
+  {
+    p2 = 0x00,
+    responseLength = 0,
+    onProgress,
+    signal,
+  }: { p2?: number, responseLength?: number } & ExchangeOptions = {}
+): Promise<Buffer> {
+  const totalBytes = chunks.reduce((total, chunk) => total + chunk.length, 0);
+  let sentBytes = 0;
+  const report = (chunk, phase) => {
+    if (onProgress) {
+      onProgress({ sentBytes, totalBytes, chunk, chunks: chunks.length, phase });
+    }
+  };
+
+  let response = Buffer.alloc(0);
+  for (let i = 0; i < chunks.length; i++) {
+    if (signal && signal.aborted) {
+      throw new AbortedError(ins, i);
+    }
+    const isLast = i === chunks.length - 1;
+    let p1 = i === 0 ? Framing.FIRST : Framing.CONTINUE;
+    if (isLast) {
+      p1 |= Framing.LAST;
+      report(i, ProgressPhase.AWAITING_CONFIRMATION);
+    }
+    response = await send(ins, p1, p2, chunks[i]);
+    sentBytes += chunks[i].length;
+    report(i + 1, isLast ? ProgressPhase.COMPLETE : ProgressPhase.SENDING);
+  }
+  const payloadLength = response.length - 2;
+  if (payloadLength < responseLength) {
+    throw new InvalidResponseError(ins, responseLength, payloadLength);
+  }
+  return response;
+}
@@ -0,0 +1,498 @@
+// @flow
+
+import BN from "bn.js";
+import * as blockchain from "./annotated";
+import { computeHeaderHash } from "./hash";
+import { headerDao, headerEpoch } from "./header";
+import { toRpcCellOutput } from "./rpc";
+import { SinceMetric, encodeSince } from "./since";
+import { sighashGroupWitnesses, toRawTransactionView } from "./transaction";
+import { MAINNET, systemScript } from "./network";
+import type { CellDep, Network } from "./network";
+import type { Script } from "./address";
+
+/**
+ * The output data of a DAO deposit cell: a zero block number.
+ */
+export const DAO_DEPOSIT_DATA = "0x0000000000000000";
+
+// Each byte a cell occupies costs one CKB
+const SHANNONS_PER_BYTE = new BN(100000000);
+
+// Deposits must stay locked for whole cycles of this many epochs
+const DAO_LOCK_PERIOD_EPOCHS = 180;
+
+/**
+ * A live cell to spend: its out point and the transaction that created it,
+ * as serialized hex or CKB JSON-RPC JSON. The input's since is 0x0 unless
+ * given.
+ */
+export type DaoInput = {
+  previous_output: { tx_hash: string, index: string },
+  source: string | Object,
+  since?: string,
+};
+
+/**
+ * An epoch as found in a header: number, index and length packed into a
+ * u64 quantity.
+ */
+export type Epoch = {
+  number: number,
+  index: number,
+  length: number,
+};
+
+/**
+ * The parts of a transaction the DAO builders produce, ready to be turned
+ * into an AnnotatedTransaction: the raw transaction, its witnesses with the
+ * first one holding the signature placeholder, and the context transaction
+ * of each input.
+ */
+export type UnsignedTransaction = {
+  rawTx: Object,
+  witnesses: Array<string>,
+  contexts: Array<string | Object>,
+};
+
+const quantity = (value: BN): string => "0x" + value.toString(16);
+
+const toBN = (value: string | number): BN =>
+  typeof value === "number" ? new BN(value) : new BN(value.replace(/^0x/, ""), 16);
+
+const byteLength = (hex: ?string): number =>
+  hex ? Buffer.from(hex.replace(/^0x/, ""), "hex").length : 0;
+
+/**
+ * The capacity a cell occupies, in shannons: one CKB per byte of its
+ * capacity field, lock, type and data.
+ */
+export function occupiedCapacity(output: { lock: Script, type?: ?Script }, data: string): BN {
+  const scriptSize = (script: ?Script) =>
+    script ? 32 + 1 + byteLength(script.args) : 0;
+  return new BN(8 + scriptSize(output.lock) + scriptSize(output.type) + byteLength(data)).mul(
+    SHANNONS_PER_BYTE
+  );
+}
+
+/**
+ * The cell spent by an input, read from its source transaction.
+ */
+export function spentCell(input: DaoInput): { output: Object, data: string } {
+  const source = toRawTransactionView(input.source);
+  const index = toBN(input.previous_output.index).toNumber();
+  if (index >= source.getOutputs().length()) {
+    throw new Error(`Source transaction has no output ${index}`);
+  }
+  return {
+    output: toRpcCellOutput(source.getOutputs().indexAt(index)),
+    data: "0x" + source.getOutputsData().indexAt(index).toObject(),
+  };
+}
+
+/**
+ * The DAO type script of a network.
+ */
+export function daoTypeScript(network: Network = MAINNET): Script {
+  return systemScript(network.scripts.DAO, "");
+}
+
+/**
+ * Whether an output is a DAO deposit cell: DAO typed, with a zero block
+ * number as data.
+ */
+export function isDaoDeposit(output: Object, data: string, network: Network = MAINNET): boolean {
+  return isDaoCell(output, network) && data.replace(/^0x/, "") === DAO_DEPOSIT_DATA.slice(2);
+}
+
+/**
+ * Whether an output is a DAO withdrawing cell: DAO typed, with the deposit
+ * block number as data.
+ */
+export function isDaoWithdrawing(
+  output: Object,
+  data: string,
+  network: Network = MAINNET
+): boolean {
+  const hex = data.replace(/^0x/, "");
+  return isDaoCell(output, network) && hex.length === 16 && hex !== DAO_DEPOSIT_DATA.slice(2);
+}
+
+function isDaoCell(output: Object, network: Network): boolean {
+  const { type } = output;
+  const dao = network.scripts.DAO;
+  return (
+    !!type &&
+    type.code_hash.toLowerCase() === dao.code_hash.toLowerCase() &&
+    type.hash_type === dao.hash_type &&
+    type.args.replace(/^0x/, "") === ""
+  );
+}
+
+/**
+ * Encode a block number as the 8 little-endian bytes of a withdrawing
+ * cell's data.
+ */
+export function encodeBlockNumber(blockNumber: string | number): string {
+  return "0x" + toBN(blockNumber).toArrayLike(Buffer, "le", 8).toString("hex");
+}
+
+/**
+ * Decode an epoch quantity: number in the low 24 bits, then 16 bits of
+ * index and 16 bits of length.
+ */
+export function parseEpoch(epoch: string): Epoch {
+  const value = toBN(epoch);
+  return {
+    number: value.maskn(24).toNumber(),
+    index: value.shrn(24).maskn(16).toNumber(),
+    length: value.shrn(40).maskn(16).toNumber(),
+  };
+}
+
+function earliestUnlockEpoch(depositEpoch: string, withdrawEpoch: string): Epoch {
+  const deposit = parseEpoch(depositEpoch);
+  const withdraw = parseEpoch(withdrawEpoch);
+  let depositedEpochs = withdraw.number - deposit.number;
+  if (withdraw.index * deposit.length > deposit.index * withdraw.length) {
+    depositedEpochs += 1;
+  }
+  const lockEpochs =
+    Math.ceil(depositedEpochs / DAO_LOCK_PERIOD_EPOCHS) * DAO_LOCK_PERIOD_EPOCHS;
+  return { ...deposit, number: deposit.number + lockEpochs };
+}
+
+/**
+ * The earliest since a withdrawing cell can be unlocked with: the deposit
+ * epoch plus enough whole 180-epoch cycles to cover the time from deposit to
+ * withdraw, as absolute epoch.
+ *
+ * @param depositEpoch the epoch of the deposit block's header
+ * @param withdrawEpoch the epoch of the withdraw block's header
+ * @return the since as 0x-prefixed u64 quantity
+ */
+export function daoEarliestSince(depositEpoch: string, withdrawEpoch: string): string {
+  return encodeSince({
+    relative: false,
+    metric: SinceMetric.EPOCH,
+    epoch: earliestUnlockEpoch(depositEpoch, withdrawEpoch),
+  });
+}
+
+/**
+ * The earliest epoch a withdrawing cell can be unlocked in, from the headers
+ * of its deposit and withdraw blocks.
+ */
+export function daoEarliestUnlockEpoch(
+  depositHeader: string | Object,
+  withdrawHeader: string | Object
+): Epoch {
+  return earliestUnlockEpoch(headerEpoch(depositHeader), headerEpoch(withdrawHeader));
+}
+
+/**
+ * The maximum capacity a DAO cell can be withdrawn with: its occupied
+ * capacity, plus the rest grown by the ratio of the accumulated rates (AR)
+ * of the withdraw and deposit headers.
+ *
+ * @param cell the deposit or withdrawing cell's output and data
+ * @param depositHeader the header of the block the deposit was committed in
+ * @param withdrawHeader the header of the block the withdraw was committed
+ * in, or the tip header to preview a withdraw
+ * @return the capacity in shannons, as quantity
+ */
+export function calculateMaximumWithdraw(
+  { output, data }: { output: Object, data: string },
+  depositHeader: string | Object,
+  withdrawHeader: string | Object
+): string {
+  const occupied = occupiedCapacity(output, data);
+  const counted = toBN(output.capacity).sub(occupied);
+  const depositAr = toBN(headerDao(depositHeader).ar);
+  const withdrawAr = toBN(headerDao(withdrawHeader).ar);
+  return quantity(counted.mul(withdrawAr).div(depositAr).add(occupied));
+}
+
+/**
+ * The compensation a DAO cell earns: its maximum withdraw capacity less its
+ * capacity.
+ *
+ * @return the compensation in shannons, as quantity
+ */
+export function calculateDaoCompensation(
+  cell: { output: Object, data: string },
+  depositHeader: string | Object,
+  withdrawHeader: string | Object
+): string {
+  return quantity(
+    toBN(calculateMaximumWithdraw(cell, depositHeader, withdrawHeader)).sub(
+      toBN(cell.output.capacity)
+    )
+  );
+}
+
+const cellDeps = (network: Network): Array<CellDep> => [
+  network.scripts.SECP256K1_BLAKE160.cell_dep,
+  network.scripts.DAO.cell_dep,
+];
+
+const sumCapacity = (inputs: Array<DaoInput>): BN =>
+  inputs.reduce((sum, input) => sum.add(toBN(spentCell(input).output.capacity)), new BN(0));
+
+/**
+ * Append a change output holding what is left once the outputs and fee are
+ * paid, unless nothing is left.
+ */
+function withChange(
+  outputs: Array<{ output: Object, data: string }>,
+  available: BN,
+  fee: BN,
+  changeLock: Script
+): Array<{ output: Object, data: string }> {
+  const spent = outputs.reduce(
+    (sum, { output }) => sum.add(toBN(output.capacity)),
+    fee
+  );
+  if (available.lt(spent)) {
+    throw new Error(
+      `Not enough capacity! Required: ${quantity(spent)}, actual: ${quantity(available)}`
+    );
+  }
+  const change = available.sub(spent);
+  if (change.isZero()) {
+    return outputs;
+  }
+  const output = { capacity: quantity(change), lock: changeLock, type: null };
+  const occupied = occupiedCapacity(output, "0x");
+  if (change.lt(occupied)) {
+    throw new Error(
+      `Change too small for a cell! Required: ${quantity(occupied)}, actual: ${quantity(change)}`
+    );
+  }
+  return [...outputs, { output, data: "0x" }];
+}
+
+function unsignedTransaction(
+  inputs: Array<DaoInput>,
+  outputs: Array<{ output: Object, data: string }>,
+  cell_deps: Array<CellDep>,
+  header_deps: Array<string>,
+  witnesses: Array<string>
+): UnsignedTransaction {
+  const rawTx = {
+    version: "0x0",
+    cell_deps,
+    header_deps,
+    inputs: inputs.map(({ previous_output, since = "0x0" }) => ({ since, previous_output })),
+    outputs: outputs.map(({ output }) => output),
+    outputs_data: outputs.map(({ data }) => data),
+  };
+  const group = inputs.map((input, i) => i);
+  return {
+    rawTx,
+    witnesses: sighashGroupWitnesses(witnesses, group, inputs.length),
+    contexts: inputs.map(({ source }) => source),
+  };
+}
+
+/**
+ * Build a transaction depositing capacity into the Nervos DAO.
+ *
+ * All inputs must be locked by the signing key's lock, so that they form a
+ * single script group.
+ *
+ * @param options.inputs the cells paying for the deposit and the fee
+ * @param options.capacity the deposited capacity in shannons, as quantity
+ * @param options.lock the lock of the deposit cell
+ * @param options.changeLock the lock of the change cell, if any change is left
+ * @param options.fee the transaction fee in shannons, as quantity
+ * @param options.network the network whose DAO and SECP256K1_BLAKE160 deps are used
+ */
+export function daoDepositTransaction({
+  inputs,
+  capacity,
+  lock,
+  changeLock,
+  fee,
+  network = MAINNET,
+}: {
+  inputs: Array<DaoInput>,
+  capacity: string,
+  lock: Script,
+  changeLock: Script,
+  fee: string,
+  network?: Network,
+}): UnsignedTransaction {
+  if (inputs.length === 0) {
+    throw new Error("A deposit needs at least one input");
+  }
+  const deposit = {
+    output: { capacity: quantity(toBN(capacity)), lock, type: daoTypeScript(network) },
+    data: DAO_DEPOSIT_DATA,
+  };
+  const occupied = occupiedCapacity(deposit.output, deposit.data);
+  if (toBN(capacity).lt(occupied)) {
+    throw new Error(
+      `Deposit too small for a cell! Required: ${quantity(occupied)}, actual: ${capacity}`
+    );
+  }
+  return unsignedTransaction(
+    inputs,
+    withChange([deposit], sumCapacity(inputs), toBN(fee), changeLock),
+    cellDeps(network),
+    [],
+    []
+  );
+}
+
+/**
+ * Build the phase 1 withdraw transaction of a DAO deposit: the deposit cell
+ * is turned into a withdrawing cell with the same capacity, lock and type,
+ * holding the deposit block number. The fee is paid by further inputs.
+ *
+ * @param options.deposit the deposit cell, with the number and hash of the block it was committed in
+ * @param options.inputs the cells paying the fee, locked like the deposit cell
+ * @param options.changeLock the lock of the change cell, if any change is left
+ * @param options.fee the transaction fee in shannons, as quantity
+ * @param options.network the network whose DAO and SECP256K1_BLAKE160 deps are used
+ */
+export function daoWithdrawTransaction({
+  deposit,
+  inputs = [],
+  changeLock,
+  fee,
+  network = MAINNET,
+}: {
+  deposit: DaoInput & { blockNumber: string, blockHash: string },
+  inputs?: Array<DaoInput>,
+  changeLock: Script,
+  fee: string,
+  network?: Network,
+}): UnsignedTransaction {
+  const { output, data } = spentCell(deposit);
+  if (!isDaoDeposit(output, data, network)) {
+    throw new Error("Not a DAO deposit cell");
+  }
+  const withdrawing = { output, data: encodeBlockNumber(deposit.blockNumber) };
+  return unsignedTransaction(
+    [deposit, ...inputs],
+    withChange(
+      [withdrawing],
+      sumCapacity([deposit, ...inputs]),
+      toBN(fee),
+      changeLock
+    ),
+    cellDeps(network),
+    [deposit.blockHash],
+    []
+  );
+}
+
+/**
+ * Build the phase 2 unlock transaction of a DAO withdrawing cell.
+ *
+ * The deposit and withdraw block hashes become the header deps, the input
+ * uses the earliest since allowed by the DAO, and its witness points the DAO
+ * at the deposit header through input_type.
+ *
+ * @param options.withdrawing the withdrawing cell, with the hash and epoch of its deposit block and of its own block
+ * @param options.capacity the maximum withdraw capacity of the cell, in shannons, as quantity
+ * @param options.lock the lock receiving the capacity, less the fee
+ * @param options.fee the transaction fee in shannons, as quantity
+ * @param options.network the network whose DAO and SECP256K1_BLAKE160 deps are used
+ */
+export function daoUnlockTransaction({
+  withdrawing,
+  capacity,
+  lock,
+  fee,
+  network = MAINNET,
+}: {
+  withdrawing: DaoInput & {
+    depositBlockHash: string,
+    depositEpoch: string,
+    withdrawBlockHash: string,
+    withdrawEpoch: string,
+  },
+  capacity: string,
+  lock: Script,
+  fee: string,
+  network?: Network,
+}): UnsignedTransaction {
+  const { output, data } = spentCell(withdrawing);
+  if (!isDaoWithdrawing(output, data, network)) {
+    throw new Error("Not a DAO withdrawing cell");
+  }
+  const received = toBN(capacity).sub(toBN(fee));
+  const unlocked = { capacity: quantity(received), lock, type: null };
+  const occupied = occupiedCapacity(unlocked, "0x");
+  if (received.lt(occupied)) {
+    throw new Error(
+      `Withdrawn capacity too small for a cell! Required: ${quantity(occupied)}, actual: ${quantity(received)}`
+    );
+  }
+  // input_type holds the index of the deposit header in header_deps
+  const depositHeaderIndex = "0000000000000000";
+  return unsignedTransaction(
+    [
+      {
+        ...withdrawing,
+        since: daoEarliestSince(withdrawing.depositEpoch, withdrawing.withdrawEpoch),
+      },
+    ],
+    [{ output: unlocked, data: "0x" }],
+    cellDeps(network),
+    [withdrawing.depositBlockHash, withdrawing.withdrawBlockHash],
+    [
+      Buffer.from(
+        blockchain.SerializeWitnessArgs({
+          lock: null,
+          input_type: depositHeaderIndex,
+          output_type: null,
+        })
+      ).toString("hex"),
+    ]
+  );
+}
+
+/**
+ * Build the phase 2 unlock transaction of a DAO withdrawing cell from the
+ * headers of its deposit and withdraw blocks, which give the header deps,
+ * the since and the maximum withdraw capacity.
+ *
+ * @param options.withdrawing the withdrawing cell
+ * @param options.depositHeader the header of the deposit block, as serialized hex, view or JSON-RPC JSON
+ * @param options.withdrawHeader the header of the withdraw block, in the same forms
+ * @param options.lock the lock receiving the capacity, less the fee
+ * @param options.fee the transaction fee in shannons, as quantity
+ * @param options.network the network whose DAO and SECP256K1_BLAKE160 deps are used
+ */
+export function daoUnlockTransactionFromHeaders({
+  withdrawing,
+  depositHeader,
+  withdrawHeader,
+  lock,
+  fee,
+  network = MAINNET,
+}: {
+  withdrawing: DaoInput,
+  depositHeader: string | Object,
+  withdrawHeader: string | Object,
+  lock: Script,
+  fee: string,
+  network?: Network,
+}): UnsignedTransaction {
+  return daoUnlockTransaction({
+    withdrawing: {
+      ...withdrawing,
+      depositBlockHash: "0x" + computeHeaderHash(depositHeader),
+      depositEpoch: headerEpoch(depositHeader),
+      withdrawBlockHash: "0x" + computeHeaderHash(withdrawHeader),
+      withdrawEpoch: headerEpoch(withdrawHeader),
+    },
+    capacity: calculateMaximumWithdraw(spentCell(withdrawing), depositHeader, withdrawHeader),
+    lock,
+    fee,
+    network,
+  });
+}
@@ -0,0 +1,106 @@
+// @flow
+
+import { Chains } from "./bip32";
+import { WatchOnlyAccount } from "./account";
+import type { DerivedAddress } from "./account";
+
+/**
+ * Tells whether an address has ever been used, typically by asking an indexer
+ * for transactions touching its lock script.
+ */
+export type IsUsed = (lockArg: string, address: DerivedAddress) => Promise<boolean> | boolean;
+
+export type ChainScan = {
+  // The used addresses of the chain, by index
+  used: Array<DerivedAddress>,
+  // The index following the last used address
+  nextIndex: number,
+};
+
+export type AccountScan = {
+  account: WatchOnlyAccount,
+  receiving: ChainScan,
+  change: ChainScan,
+};
+
+export const DEFAULT_GAP_LIMIT = 20;
+
+/**
+ * Scan a chain of an account until gapLimit consecutive addresses are unused.
+ * Addresses are checked gapLimit at a time.
+ */
+export async function scanChain(
+  account: WatchOnlyAccount,
+  chain: number,
+  isUsed: IsUsed,
+  gapLimit: number = DEFAULT_GAP_LIMIT
+): Promise<ChainScan> {
+  if (!Number.isInteger(gapLimit) || gapLimit < 1) {
+    throw new Error("Gap limit must be a positive integer: " + gapLimit);
+  }
+  const used = [];
+  let next = 0;
+  let end = gapLimit;
+  while (next < end) {
+    const batch = account.addresses(chain, next, end - next);
+    const results = await Promise.all(
+      batch.map((address) => isUsed(address.lockArg, address))
+    );
+    next = end;
+    batch.forEach((address, i) => {
+      if (results[i]) {
+        used.push(address);
+        end = Math.max(end, address.index + 1 + gapLimit);
+      }
+    });
+  }
+  return {
+    used,
+    nextIndex: used.length > 0 ? used[used.length - 1].index + 1 : 0,
+  };
+}
+
+/**
+ * Scan the receiving and change chains of an account.
+ */
+export async function scanAccount(
+  account: WatchOnlyAccount,
+  isUsed: IsUsed,
+  gapLimit: number = DEFAULT_GAP_LIMIT
+): Promise<AccountScan> {
+  return {
+    account,
+    receiving: await scanChain(account, Chains.RECEIVING, isUsed, gapLimit),
+    change: await scanChain(account, Chains.CHANGE, isUsed, gapLimit),
+  };
+}
+
+/**
+ * Discover the used accounts of a wallet, BIP 44 style: accounts are scanned
+ * in order and discovery stops at the first account without any used
+ * address.
+ *
+ * @param getAccount returns the watch-only account at an account index
+ * @param isUsed tells whether an address has been used
+ * @param options.gapLimit how many consecutive unused addresses end a chain
+ * @param options.maxAccounts how many accounts to scan at most
+ * @return the scans of the used accounts
+ */
+export async function discoverAccounts(
+  getAccount: (accountIndex: number) => Promise<WatchOnlyAccount>,
+  isUsed: IsUsed,
+  {
+    gapLimit = DEFAULT_GAP_LIMIT,
+    maxAccounts = Infinity,
+  }: { gapLimit?: number, maxAccounts?: number } = {}
+): Promise<Array<AccountScan>> {
+  const accounts = [];
+  for (let accountIndex = 0; accountIndex < maxAccounts; accountIndex++) {
+    const scan = await scanAccount(await getAccount(accountIndex), isUsed, gapLimit);
+    if (scan.receiving.used.length === 0 && scan.change.used.length === 0) {
+      break;
+    }
+    accounts.push(scan);
+  }
+  return accounts;
+}
@@ -0,0 +1,235 @@
+// @flow
+
+/**
+ * APDU instruction codes understood by the Nervos ledger app.
+ */
+export const Instructions = {
+  GET_APP_VERSION: 0x00,
+  GET_WALLET_ID: 0x01,
+  GET_WALLET_PUBLIC_KEY: 0x02,
+  SIGN_TRANSACTION: 0x03,
+  GET_WALLET_EXTENDED_PUBLIC_KEY: 0x04,
+  SIGN_MESSAGE: 0x06,
+  GET_APP_GIT_HASH: 0x09,
+};
+
+/**
+ * Status words returned by the Nervos ledger app, and by the device itself
+ * when the app is not in a state to answer.
+ */
+export const StatusCodes = {
+  OK: 0x9000,
+  PARSE_ERROR: 0x9405,
+  MEMORY_ERROR: 0x9200,
+  WRONG_LENGTH_FOR_INS: 0x917e,
+  SECURITY_STATUS_NOT_SATISFIED: 0x6982,
+  HID_REQUIRED: 0x6983,
+  CONDITIONS_OF_USE_NOT_SATISFIED: 0x6985,
+  WRONG_VALUES: 0x6a80,
+  REFERENCED_DATA_NOT_FOUND: 0x6a88,
+  WRONG_PARAM: 0x6b00,
+  WRONG_LENGTH: 0x6c00,
+  INS_NOT_SUPPORTED: 0x6d00,
+  CLA_NOT_SUPPORTED: 0x6e00,
+  APP_NOT_OPEN: 0x6e01,
+  APP_NOT_OPEN_DASHBOARD: 0x6511,
+  DEVICE_LOCKED: 0x5515,
+  DEVICE_LOCKED_LEGACY: 0x6804,
+};
+
+/**
+ * Base class for every error raised from a device exchange.
+ *
+ * `code` is a stable string identifier suitable for switching on, `ins` is the
+ * APDU instruction that failed and `statusCode` the status word the device
+ * answered with.
+ */
+export class CkbLedgerError extends Error {
+  code: string;
+  ins: ?number;
+  statusCode: ?number;
+  cause: ?Error;
+
+  constructor(
+    message: string,
+    code: string = "UNKNOWN_STATUS",
+    ins: ?number,
+    statusCode: ?number,
+    cause: ?Error
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.ins = ins;
+    this.statusCode = statusCode;
+    this.cause = cause;
+  }
+}
+
+export class UserRejectedError extends CkbLedgerError {
+  constructor(ins: ?number, statusCode: ?number, cause: ?Error) {
+    super("The request was rejected on the device", "USER_REJECTED", ins, statusCode, cause);
+  }
+}
+
+export class AppNotOpenError extends CkbLedgerError {
+  constructor(ins: ?number, statusCode: ?number, cause: ?Error) {
+    super("The Nervos app is not open on the device", "APP_NOT_OPEN", ins, statusCode, cause);
+  }
+}
+
+export class DeviceLockedError extends CkbLedgerError {
+  constructor(ins: ?number, statusCode: ?number, cause: ?Error) {
+    super("The device is locked", "DEVICE_LOCKED", ins, statusCode, cause);
+  }
+}
+
+/**
+ * Raised when the request is too large for the app to hold in memory, such
+ * as a transaction with too many inputs or outputs.
+ */
+export class OutOfMemoryError extends CkbLedgerError {
+  constructor(ins: ?number, statusCode: ?number, cause: ?Error) {
+    super("The device ran out of memory for the request", "OUT_OF_MEMORY", ins, statusCode, cause);
+  }
+}
+
+export class PayloadParseError extends CkbLedgerError {
+  constructor(ins: ?number, statusCode: ?number, cause: ?Error) {
+    super("The device could not parse the request payload", "PARSE_ERROR", ins, statusCode, cause);
+  }
+}
+
+export class UnsupportedInstructionError extends CkbLedgerError {
+  constructor(ins: ?number, statusCode: ?number, cause: ?Error) {
+    super("The Nervos app does not support this instruction", "UNSUPPORTED_INSTRUCTION", ins, statusCode, cause);
+  }
+}
+
+export class InvalidRequestError extends CkbLedgerError {
+  constructor(ins: ?number, statusCode: ?number, cause: ?Error) {
+    super("The device refused the request parameters", "INVALID_REQUEST", ins, statusCode, cause);
+  }
+}
+
+/**
+ * Raised when the device answers with a success status but a response that
+ * is shorter than the instruction requires.
+ */
+export class InvalidResponseError extends CkbLedgerError {
+  constructor(ins: ?number, expected: number, actual: number) {
+    super(
+      `Invalid response length from device! Required: ${expected}, actual: ${actual}`,
+      "INVALID_RESPONSE",
+      ins,
+      StatusCodes.OK
+    );
+  }
+}
+
+/**
+ * Raised when a streamed exchange is cancelled through an AbortSignal before
+ * all of its chunks reached the device. sentChunks counts the chunks the
+ * device already received: when it is not 0 the app holds a partial
+ * instruction, which the next instruction sent from its first chunk replaces.
+ */
+export class AbortedError extends CkbLedgerError {
+  sentChunks: number;
+
+  constructor(ins: ?number, sentChunks: number = 0) {
+    super(
+      sentChunks === 0
+        ? "The request was aborted before it was sent to the device"
+        : `The request was aborted after the device received ${sentChunks} of its chunks, leaving it with a partial request`,
+      "ABORTED",
+      ins
+    );
+    this.sentChunks = sentChunks;
+  }
+}
+
+/**
+ * Raised before talking to the device when the installed Nervos app is known
+ * to be too old for the requested operation.
+ */
+export class AppUpgradeRequiredError extends CkbLedgerError {
+  feature: string;
+  version: string;
+  requiredVersion: string;
+
+  constructor(feature: string, version: string, requiredVersion: string, ins: ?number) {
+    super(
+      `Nervos app ${version} does not support ${feature}, upgrade your Ledger app to ${requiredVersion} or newer`,
+      "APP_UPGRADE_REQUIRED",
+      ins
+    );
+    this.feature = feature;
+    this.version = version;
+    this.requiredVersion = requiredVersion;
+  }
+}
+
+/**
+ * Raised when a signature returned by the device does not recover to the
+ * expected lock arg.
+ */
+export class SignatureMismatchError extends CkbLedgerError {
+  expectedLockArg: string;
+  recoveredLockArg: ?string;
+
+  constructor(expectedLockArg: string, recoveredLockArg: ?string, ins: ?number) {
+    super(
+      `Signature does not match lock arg! Required: ${expectedLockArg}, actual: ${String(recoveredLockArg)}`,
+      "SIGNATURE_MISMATCH",
+      ins
+    );
+    this.expectedLockArg = expectedLockArg;
+    this.recoveredLockArg = recoveredLockArg;
+  }
+}
+
+const errorClassByStatus = {
+  [StatusCodes.CONDITIONS_OF_USE_NOT_SATISFIED]: UserRejectedError,
+  // Returned by the device while it is locked or waiting for its PIN
+  [StatusCodes.SECURITY_STATUS_NOT_SATISFIED]: DeviceLockedError,
+  [StatusCodes.CLA_NOT_SUPPORTED]: AppNotOpenError,
+  [StatusCodes.APP_NOT_OPEN]: AppNotOpenError,
+  [StatusCodes.APP_NOT_OPEN_DASHBOARD]: AppNotOpenError,
+  [StatusCodes.DEVICE_LOCKED]: DeviceLockedError,
+  [StatusCodes.DEVICE_LOCKED_LEGACY]: DeviceLockedError,
+  [StatusCodes.PARSE_ERROR]: PayloadParseError,
+  [StatusCodes.MEMORY_ERROR]: OutOfMemoryError,
+  [StatusCodes.INS_NOT_SUPPORTED]: UnsupportedInstructionError,
+  [StatusCodes.WRONG_PARAM]: InvalidRequestError,
+  [StatusCodes.WRONG_LENGTH]: InvalidRequestError,
+  [StatusCodes.WRONG_LENGTH_FOR_INS]: InvalidRequestError,
+  [StatusCodes.WRONG_VALUES]: InvalidRequestError,
+  [StatusCodes.REFERENCED_DATA_NOT_FOUND]: InvalidRequestError,
+};
+
+/**
+ * Translate an error thrown by `Transport.send` into a CkbLedgerError.
+ *
+ * Errors that do not carry a status word (disconnects, timeouts, ...) are
+ * returned unchanged.
+ */
+export function mapTransportError(error: any, ins: ?number): Error {
+  if (error instanceof CkbLedgerError) {
+    return error;
+  }
+  if (!error || typeof error.statusCode !== "number") {
+    return error;
+  }
+  const statusCode = error.statusCode;
+  const ErrorClass = errorClassByStatus[statusCode];
+  if (ErrorClass) {
+    return new ErrorClass(ins, statusCode, error);
+  }
+  return new CkbLedgerError(
+    `Ledger device returned status 0x${statusCode.toString(16)}`,
+    "UNKNOWN_STATUS",
+    ins,
+    statusCode,
+    error
+  );
+}
@@ -0,0 +1,158 @@
+// @flow
+
+import Blake2b from "blake2b-wasm";
+import * as blockchain from "./annotated";
+import * as molecule from "./molecule";
+import { toHeaderView } from "./header";
+
+// "ckb-default-hash"
+const HASH_PERSONALIZATION = Uint8Array.from([99, 107, 98, 45, 100, 101, 102, 97, 117, 108, 116, 45, 104, 97, 115, 104]);
+
+const toBytes = (data: Buffer | ArrayBuffer | Uint8Array | string): Uint8Array => {
+  if (typeof data === "string") {
+    return Uint8Array.from(Buffer.from(data.replace(/^0x/, ""), "hex"));
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  return Uint8Array.from(data);
+};
+
+/**
+ * Incremental blake2b-256 hasher with the ckb-default-hash personalization.
+ */
+export function ckbHasher() {
+  const hasher = Blake2b(32, null, null, HASH_PERSONALIZATION);
+  return {
+    update(data: Buffer | ArrayBuffer | Uint8Array | string) {
+      hasher.update(toBytes(data));
+      return this;
+    },
+    digest(): Buffer {
+      return Buffer.from(hasher.digest("binary"));
+    },
+  };
+}
+
+/**
+ * blake2b-256 of data with the ckb-default-hash personalization.
+ */
+export function ckbHash(data: Buffer | ArrayBuffer | Uint8Array | string): Buffer {
+  return ckbHasher().update(data).digest();
+}
+
+/**
+ * The first 20 bytes of ckbHash, as used for lock args.
+ */
+export function blake160(data: Buffer | ArrayBuffer | Uint8Array | string): Buffer {
+  return ckbHash(data).slice(0, 20);
+}
+
+/**
+ * The hash of a Script, given as JSON or serialized hex, as used for lock
+ * hashes.
+ *
+ * @return the script hash as hex string
+ */
+export function computeScriptHash(script: string | Object): string {
+  const bytes =
+    typeof script === "string"
+      ? Buffer.from(script.replace(/^0x/, ""), "hex")
+      : Buffer.from(blockchain.SerializeScript(script));
+  return ckbHash(bytes).toString("hex");
+}
+
+/**
+ * The hash of a block Header, given as serialized hex, molecule view or CKB
+ * JSON-RPC JSON.
+ *
+ * @return the block hash as hex string
+ */
+export function computeHeaderHash(header: string | Object): string {
+  return ckbHash(molecule.SerializeHeader(toHeaderView(header))).toString("hex");
+}
+
+const serializeRawTransaction = (rawTx: string | Object): Buffer => {
+  if (typeof rawTx === "string") {
+    // Hash hex input as given rather than round-tripping it through toObject
+    return Buffer.from(rawTx.replace(/^0x/, ""), "hex");
+  }
+  return Buffer.from(blockchain.SerializeRawTransaction(rawTx));
+};
+
+/**
+ * Compute the hash of a RawTransaction, given as JSON or serialized hex.
+ *
+ * @return the transaction hash as hex string
+ */
+export function computeTransactionHash(rawTx: string | Object): string {
+  return ckbHash(serializeRawTransaction(rawTx)).toString("hex");
+}
+
+/**
+ * Recover the RawTransaction of an AnnotatedTransaction by dropping the
+ * context transactions attached to its inputs.
+ *
+ * For a decoded AnnotatedTransaction the fields are kept as molecule views,
+ * so that serializing the result reproduces the original bytes.
+ */
+export function rawTransactionFromAnnotated(tx: Object): Object {
+  if ("view" in tx) {
+    const raw = tx.getRaw();
+    const inputs = raw.getInputs();
+    const cellInputs = [];
+    for (let i = 0; i < inputs.length(); i++) {
+      cellInputs.push(inputs.indexAt(i).getInput());
+    }
+    return {
+      version: raw.getVersion(),
+      cell_deps: raw.getCellDeps(),
+      header_deps: raw.getHeaderDeps(),
+      inputs: cellInputs,
+      outputs: raw.getOutputs(),
+      outputs_data: raw.getOutputsData(),
+    };
+  }
+  const raw = tx.raw;
+  return {
+    version: raw.version,
+    cell_deps: raw.cell_deps,
+    header_deps: raw.header_deps,
+    inputs: raw.inputs.map(({ input }) => input),
+    outputs: raw.outputs,
+    outputs_data: raw.outputs_data,
+  };
+}
+
+/**
+ * Compute the message signed by the secp256k1 sighash-all lock for a script group.
+ *
+ * witnesses are the group's witnesses followed by any witnesses beyond the
+ * input count, exactly as passed to buildAnnotatedTransaction: the first one
+ * must already hold the zero-filled lock placeholder (see
+ * Ckb.defaultSighashWitness). Each witness is hashed after its length as a
+ * little-endian 64-bit integer.
+ *
+ * @return the 32-byte message as hex string
+ */
+export function computeSighashAllMessage(
+  rawTx: string | Object,
+  witnesses: Array<string>
+): string {
+  const hasher = ckbHasher().update(ckbHash(serializeRawTransaction(rawTx)));
+  witnesses.forEach((witness) => {
+    const bytes = Buffer.from(witness.replace(/^0x/, ""), "hex");
+    const length = Buffer.alloc(8);
+    length.writeUInt32LE(bytes.length, 0);
+    hasher.update(length).update(bytes);
+  });
+  return hasher.digest().toString("hex");
+}
+
+/**
+ * Compute the message the device signs for an AnnotatedTransaction.
+ */
+export function computeAnnotatedTransactionMessage(tx: Object): string {
+  const witnesses = "view" in tx ? tx.getWitnesses().toObject() : tx.witnesses;
+  return computeSighashAllMessage(rawTransactionFromAnnotated(tx), witnesses);
+}
@@ -0,0 +1,88 @@
+// @flow
+
+import BN from "bn.js";
+import * as molecule from "./molecule";
+
+/**
+ * The fields of a header's dao field: total issued capacity C, accumulated
+ * rate AR, unissued secondary issuance S and occupied capacity U, as u64
+ * quantities.
+ */
+export type DaoField = {
+  c: string,
+  ar: string,
+  s: string,
+  u: string,
+};
+
+const quantity = (bytes: Buffer): string =>
+  "0x" + new BN(bytes, 16, "le").toString(16);
+
+/**
+ * Decode a Header given as serialized hex, as a molecule view, or as CKB
+ * JSON-RPC JSON, whose quantities are big-endian.
+ */
+export function toHeaderView(header: string | Object): molecule.Header {
+  if (typeof header === "object" && header !== null && "view" in header) {
+    return header;
+  }
+  if (typeof header === "string") {
+    return new molecule.Header(header);
+  }
+  const nonce = new BN(header.nonce.replace(/^0x/, ""), 16).toArrayLike(Buffer, "le", 16);
+  return new molecule.Header(
+    molecule.SerializeHeader({
+      raw: {
+        version: header.version,
+        compact_target: header.compact_target,
+        timestamp: header.timestamp,
+        number: header.number,
+        epoch: header.epoch,
+        parent_hash: header.parent_hash,
+        transactions_root: header.transactions_root,
+        proposals_hash: header.proposals_hash,
+        extra_hash: header.extra_hash,
+        dao: header.dao,
+      },
+      nonce: nonce.toString("hex"),
+    })
+  );
+}
+
+/**
+ * The block number of a header, as quantity.
+ */
+export function headerNumber(header: string | Object): string {
+  return quantity(Buffer.from(toHeaderView(header).getRaw().getNumber().raw()));
+}
+
+/**
+ * The epoch of a header, as quantity.
+ */
+export function headerEpoch(header: string | Object): string {
+  return quantity(Buffer.from(toHeaderView(header).getRaw().getEpoch().raw()));
+}
+
+/**
+ * Split the 32-byte dao field of a header, given as hex, into its four
+ * little-endian u64 fields.
+ */
+export function parseDaoField(dao: string): DaoField {
+  const bytes = Buffer.from(dao.replace(/^0x/, ""), "hex");
+  if (bytes.length !== 32) {
+    throw new Error(`Invalid dao field length! Required: 32, actual: ${bytes.length}`);
+  }
+  return {
+    c: quantity(bytes.slice(0, 8)),
+    ar: quantity(bytes.slice(8, 16)),
+    s: quantity(bytes.slice(16, 24)),
+    u: quantity(bytes.slice(24, 32)),
+  };
+}
+
+/**
+ * The dao field of a header.
+ */
+export function headerDao(header: string | Object): DaoField {
+  return parseDaoField(toHeaderView(header).getRaw().getDao().toObject());
+}
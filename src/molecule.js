@@ -0,0 +1,541 @@
+// @flow
+
+// Molecule codecs of CKB schemas that annotated.js, generated from the
+// Nervos app's schema, does not cover. They follow the generated codecs'
+// interface: a view class per type, with validate, getters and toObject, and
+// a Serialize function accepting JSON or a view.
+
+import {
+  Byte32,
+  Bytes,
+  BytesOpt,
+  SerializeByte32,
+  SerializeBytes,
+  SerializeBytesOpt,
+  SerializeUint128,
+  SerializeUint32,
+  SerializeUint64,
+  Uint128,
+  Uint32,
+  Uint64,
+} from "./annotated";
+
+/**
+ * What the codecs read: an ArrayBuffer, hex with or without 0x, or anything
+ * with toArrayBuffer.
+ */
+export type Reader = ArrayBuffer | string | { toArrayBuffer(): ArrayBuffer };
+
+type ViewOptions = { validate?: boolean };
+
+function toArrayBuffer(reader: Reader): ArrayBuffer {
+  if (typeof reader === "string") {
+    const bytes = Buffer.from(reader.replace(/^0x/, ""), "hex");
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  }
+  if (reader instanceof ArrayBuffer) {
+    return reader;
+  }
+  if (reader instanceof Object && reader.toArrayBuffer instanceof Function) {
+    return reader.toArrayBuffer();
+  }
+  throw new Error("Provided value must be an ArrayBuffer or can be transformed into ArrayBuffer!");
+}
+
+function assertDataLength(actual: number, required: number) {
+  if (actual !== required) {
+    throw new Error(`Invalid data length! Required: ${required}, actual: ${actual}`);
+  }
+}
+
+// The offsets of a table's or dynvec's items, followed by its total size
+function tableOffsets(view: DataView, fieldCount: ?number): Array<number> {
+  if (view.byteLength < 4) {
+    throw new Error(`Invalid data length! Required: >4, actual: ${view.byteLength}`);
+  }
+  const totalSize = view.getUint32(0, true);
+  assertDataLength(view.byteLength, totalSize);
+  if (totalSize === 4) {
+    if (fieldCount) {
+      throw new Error(`Item count not enough! Required: ${fieldCount}, actual: 0`);
+    }
+    return [totalSize];
+  }
+  if (totalSize < 8) {
+    throw new Error(`Invalid data length! Required: >8, actual: ${totalSize}`);
+  }
+  const firstOffset = view.getUint32(4, true);
+  if (firstOffset % 4 !== 0 || firstOffset < 8 || firstOffset > totalSize) {
+    throw new Error(`Invalid first offset: ${firstOffset}`);
+  }
+  const itemCount = firstOffset / 4 - 1;
+  if (fieldCount != null && itemCount !== fieldCount) {
+    throw new Error(`Invalid item count! Required: ${fieldCount}, actual: ${itemCount}`);
+  }
+  const offsets = [];
+  for (let i = 0; i < itemCount; i++) {
+    offsets.push(view.getUint32(4 + i * 4, true));
+  }
+  offsets.push(totalSize);
+  for (let i = 0; i < itemCount; i++) {
+    if (offsets[i] > offsets[i + 1]) {
+      throw new Error(`Offset index ${i}: ${offsets[i]} is larger than offset index ${i + 1}: ${offsets[i + 1]}`);
+    }
+  }
+  return offsets;
+}
+
+function serializeTable(buffers: Array<ArrayBuffer>): ArrayBuffer {
+  const headerSize = 4 * (buffers.length + 1);
+  const totalSize = buffers.reduce((size, buffer) => size + buffer.byteLength, headerSize);
+  const array = new Uint8Array(totalSize);
+  const view = new DataView(array.buffer);
+  view.setUint32(0, totalSize, true);
+  let offset = headerSize;
+  buffers.forEach((buffer, i) => {
+    view.setUint32(4 + i * 4, offset, true);
+    array.set(new Uint8Array(buffer), offset);
+    offset += buffer.byteLength;
+  });
+  return array.buffer;
+}
+
+const hex = (buffer: ArrayBuffer): string => Buffer.from(buffer).toString("hex");
+
+const AUTH_SIZE = 21;
+
+/**
+ * An Omnilock auth: a flag byte and 20 bytes of auth content.
+ */
+export class Auth {
+  view: DataView;
+
+  constructor(reader: Reader, { validate = true }: ViewOptions = {}) {
+    this.view = new DataView(toArrayBuffer(reader));
+    if (validate) {
+      this.validate();
+    }
+  }
+
+  validate(_compatible?: boolean) {
+    assertDataLength(this.view.byteLength, AUTH_SIZE);
+  }
+
+  indexAt(i: number): number {
+    return this.view.getUint8(i);
+  }
+
+  raw(): ArrayBuffer {
+    return this.view.buffer;
+  }
+
+  toObject(): string {
+    return hex(this.raw());
+  }
+
+  static size(): number {
+    return AUTH_SIZE;
+  }
+}
+
+export function SerializeAuth(value: Reader | Auth): ArrayBuffer {
+  if (value instanceof Auth) {
+    return value.view.buffer;
+  }
+  const buffer = toArrayBuffer(value);
+  assertDataLength(buffer.byteLength, AUTH_SIZE);
+  return buffer;
+}
+
+export type SmtProofEntryJSON = { mask: number, proof: string };
+
+export class SmtProofEntry {
+  view: DataView;
+
+  constructor(reader: Reader, { validate = true }: ViewOptions = {}) {
+    this.view = new DataView(toArrayBuffer(reader));
+    if (validate) {
+      this.validate();
+    }
+  }
+
+  validate(_compatible?: boolean) {
+    const offsets = tableOffsets(this.view, 2);
+    assertDataLength(offsets[1] - offsets[0], 1);
+    new Bytes(this.view.buffer.slice(offsets[1], offsets[2]), { validate: false }).validate();
+  }
+
+  field(index: number): ArrayBuffer {
+    const offsets = tableOffsets(this.view, 2);
+    return this.view.buffer.slice(offsets[index], offsets[index + 1]);
+  }
+
+  getMask(): number {
+    return new DataView(this.field(0)).getUint8(0);
+  }
+
+  getProof(): Bytes {
+    return new Bytes(this.field(1), { validate: false });
+  }
+
+  toObject(): SmtProofEntryJSON {
+    return { mask: this.getMask(), proof: this.getProof().toObject() };
+  }
+}
+
+export function SerializeSmtProofEntry(value: SmtProofEntryJSON | SmtProofEntry): ArrayBuffer {
+  if (value instanceof SmtProofEntry) {
+    return value.view.buffer;
+  }
+  return serializeTable([Uint8Array.from([value.mask]).buffer, SerializeBytes(value.proof)]);
+}
+
+export class SmtProofEntryVec {
+  view: DataView;
+
+  constructor(reader: Reader, { validate = true }: ViewOptions = {}) {
+    this.view = new DataView(toArrayBuffer(reader));
+    if (validate) {
+      this.validate();
+    }
+  }
+
+  validate(_compatible?: boolean) {
+    for (let i = 0; i < this.length(); i++) {
+      this.indexAt(i).validate();
+    }
+  }
+
+  length(): number {
+    return tableOffsets(this.view).length - 1;
+  }
+
+  indexAt(i: number): SmtProofEntry {
+    const offsets = tableOffsets(this.view);
+    return new SmtProofEntry(this.view.buffer.slice(offsets[i], offsets[i + 1]), { validate: false });
+  }
+
+  toObject(): Array<SmtProofEntryJSON> {
+    const entries = [];
+    for (let i = 0; i < this.length(); i++) {
+      entries.push(this.indexAt(i).toObject());
+    }
+    return entries;
+  }
+}
+
+export function SerializeSmtProofEntryVec(
+  value: Array<SmtProofEntryJSON> | SmtProofEntryVec
+): ArrayBuffer {
+  if (value instanceof SmtProofEntryVec) {
+    return value.view.buffer;
+  }
+  return serializeTable(value.map((entry) => SerializeSmtProofEntry(entry)));
+}
+
+export type IdentityJSON = { identity: string, proofs: Array<SmtProofEntryJSON> };
+
+export class Identity {
+  view: DataView;
+
+  constructor(reader: Reader, { validate = true }: ViewOptions = {}) {
+    this.view = new DataView(toArrayBuffer(reader));
+    if (validate) {
+      this.validate();
+    }
+  }
+
+  validate(compatible: boolean = false) {
+    this.getIdentity().validate(compatible);
+    this.getProofs().validate(compatible);
+  }
+
+  field(index: number): ArrayBuffer {
+    const offsets = tableOffsets(this.view, 2);
+    return this.view.buffer.slice(offsets[index], offsets[index + 1]);
+  }
+
+  getIdentity(): Auth {
+    return new Auth(this.field(0), { validate: false });
+  }
+
+  getProofs(): SmtProofEntryVec {
+    return new SmtProofEntryVec(this.field(1), { validate: false });
+  }
+
+  toObject(): IdentityJSON {
+    return { identity: this.getIdentity().toObject(), proofs: this.getProofs().toObject() };
+  }
+}
+
+export function SerializeIdentity(value: IdentityJSON | Identity): ArrayBuffer {
+  if (value instanceof Identity) {
+    return value.view.buffer;
+  }
+  return serializeTable([SerializeAuth(value.identity), SerializeSmtProofEntryVec(value.proofs)]);
+}
+
+export class IdentityOpt {
+  view: DataView;
+
+  constructor(reader: Reader, { validate = true }: ViewOptions = {}) {
+    this.view = new DataView(toArrayBuffer(reader));
+    if (validate) {
+      this.validate();
+    }
+  }
+
+  validate(compatible: boolean = false) {
+    if (this.hasValue()) {
+      this.value().validate(compatible);
+    }
+  }
+
+  value(): Identity {
+    return new Identity(this.view.buffer, { validate: false });
+  }
+
+  hasValue(): boolean {
+    return this.view.byteLength > 0;
+  }
+
+  toObject(): ?IdentityJSON {
+    return this.hasValue() ? this.value().toObject() : null;
+  }
+}
+
+export function SerializeIdentityOpt(value: ?(IdentityJSON | Identity | IdentityOpt)): ArrayBuffer {
+  if (value instanceof IdentityOpt) {
+    return value.view.buffer;
+  }
+  return value ? SerializeIdentity(value) : new ArrayBuffer(0);
+}
+
+export type OmniLockWitnessLockJSON = {
+  signature: ?string,
+  omni_identity: ?IdentityJSON,
+  preimage: ?string,
+};
+
+/**
+ * The lock field of an Omnilock input's WitnessArgs.
+ */
+export class OmniLockWitnessLock {
+  view: DataView;
+
+  constructor(reader: Reader, { validate = true }: ViewOptions = {}) {
+    this.view = new DataView(toArrayBuffer(reader));
+    if (validate) {
+      this.validate();
+    }
+  }
+
+  validate(compatible: boolean = false) {
+    this.getSignature().validate(compatible);
+    this.getOmniIdentity().validate(compatible);
+    this.getPreimage().validate(compatible);
+  }
+
+  field(index: number): ArrayBuffer {
+    const offsets = tableOffsets(this.view, 3);
+    return this.view.buffer.slice(offsets[index], offsets[index + 1]);
+  }
+
+  getSignature(): BytesOpt {
+    return new BytesOpt(this.field(0), { validate: false });
+  }
+
+  getOmniIdentity(): IdentityOpt {
+    return new IdentityOpt(this.field(1), { validate: false });
+  }
+
+  getPreimage(): BytesOpt {
+    return new BytesOpt(this.field(2), { validate: false });
+  }
+
+  toObject(): OmniLockWitnessLockJSON {
+    return {
+      signature: this.getSignature().toObject(),
+      omni_identity: this.getOmniIdentity().toObject(),
+      preimage: this.getPreimage().toObject(),
+    };
+  }
+}
+
+export function SerializeOmniLockWitnessLock(
+  value: OmniLockWitnessLockJSON | OmniLockWitnessLock
+): ArrayBuffer {
+  if (value instanceof OmniLockWitnessLock) {
+    return value.view.buffer;
+  }
+  return serializeTable([
+    SerializeBytesOpt(value.signature),
+    SerializeIdentityOpt(value.omni_identity),
+    SerializeBytesOpt(value.preimage),
+  ]);
+}
+
+// The RawHeader fields in order, with their codecs
+const RAW_HEADER_FIELDS = [
+  ["version", Uint32, SerializeUint32],
+  ["compact_target", Uint32, SerializeUint32],
+  ["timestamp", Uint64, SerializeUint64],
+  ["number", Uint64, SerializeUint64],
+  ["epoch", Uint64, SerializeUint64],
+  ["parent_hash", Byte32, SerializeByte32],
+  ["transactions_root", Byte32, SerializeByte32],
+  ["proposals_hash", Byte32, SerializeByte32],
+  ["extra_hash", Byte32, SerializeByte32],
+  ["dao", Byte32, SerializeByte32],
+];
+
+const RAW_HEADER_SIZE = RAW_HEADER_FIELDS.reduce((size, [, codec]) => size + codec.size(), 0);
+
+/**
+ * Numbers are little-endian hex in a view's toObject, and, as in the other
+ * codecs, big-endian hex or numbers when serialized.
+ */
+export type RawHeaderJSON = {
+  version: number | string,
+  compact_target: number | string,
+  timestamp: string,
+  number: string,
+  epoch: string,
+  parent_hash: string,
+  transactions_root: string,
+  proposals_hash: string,
+  extra_hash: string,
+  dao: string,
+};
+
+export class RawHeader {
+  view: DataView;
+
+  constructor(reader: Reader, { validate = true }: ViewOptions = {}) {
+    this.view = new DataView(toArrayBuffer(reader));
+    if (validate) {
+      this.validate();
+    }
+  }
+
+  validate(_compatible?: boolean) {
+    assertDataLength(this.view.byteLength, RAW_HEADER_SIZE);
+  }
+
+  field(index: number): any {
+    const start = RAW_HEADER_FIELDS.slice(0, index).reduce((size, [, codec]) => size + codec.size(), 0);
+    const codec = RAW_HEADER_FIELDS[index][1];
+    return new codec(this.view.buffer.slice(start, start + codec.size()), { validate: false });
+  }
+
+  getVersion(): Uint32 {
+    return this.field(0);
+  }
+
+  getCompactTarget(): Uint32 {
+    return this.field(1);
+  }
+
+  getTimestamp(): Uint64 {
+    return this.field(2);
+  }
+
+  getNumber(): Uint64 {
+    return this.field(3);
+  }
+
+  getEpoch(): Uint64 {
+    return this.field(4);
+  }
+
+  getParentHash(): Byte32 {
+    return this.field(5);
+  }
+
+  getTransactionsRoot(): Byte32 {
+    return this.field(6);
+  }
+
+  getProposalsHash(): Byte32 {
+    return this.field(7);
+  }
+
+  getExtraHash(): Byte32 {
+    return this.field(8);
+  }
+
+  getDao(): Byte32 {
+    return this.field(9);
+  }
+
+  toObject(): RawHeaderJSON {
+    const obj = {};
+    RAW_HEADER_FIELDS.forEach(([name], i) => {
+      obj[name] = this.field(i).toObject();
+    });
+    return (obj: any);
+  }
+
+  static size(): number {
+    return RAW_HEADER_SIZE;
+  }
+}
+
+export function SerializeRawHeader(value: RawHeaderJSON | RawHeader): ArrayBuffer {
+  if (value instanceof RawHeader) {
+    return value.view.buffer;
+  }
+  const array = new Uint8Array(RAW_HEADER_SIZE);
+  let offset = 0;
+  RAW_HEADER_FIELDS.forEach(([name, codec, serialize]) => {
+    array.set(new Uint8Array(serialize(value[name])), offset);
+    offset += codec.size();
+  });
+  return array.buffer;
+}
+
+export type HeaderJSON = { raw: RawHeaderJSON, nonce: string };
+
+/**
+ * A block header: its RawHeader and the little-endian u128 nonce.
+ */
+export class Header {
+  view: DataView;
+
+  constructor(reader: Reader, { validate = true }: ViewOptions = {}) {
+    this.view = new DataView(toArrayBuffer(reader));
+    if (validate) {
+      this.validate();
+    }
+  }
+
+  validate(_compatible?: boolean) {
+    assertDataLength(this.view.byteLength, Header.size());
+  }
+
+  getRaw(): RawHeader {
+    return new RawHeader(this.view.buffer.slice(0, RAW_HEADER_SIZE), { validate: false });
+  }
+
+  getNonce(): Uint128 {
+    return new Uint128(this.view.buffer.slice(RAW_HEADER_SIZE, Header.size()), { validate: false });
+  }
+
+  toObject(): HeaderJSON {
+    return { raw: this.getRaw().toObject(), nonce: this.getNonce().toObject() };
+  }
+
+  static size(): number {
+    return RAW_HEADER_SIZE + Uint128.size();
+  }
+}
+
+export function SerializeHeader(value: HeaderJSON | Header): ArrayBuffer {
+  if (value instanceof Header) {
+    return value.view.buffer;
+  }
+  const array = new Uint8Array(Header.size());
+  array.set(new Uint8Array(SerializeRawHeader(value.raw)), 0);
+  array.set(new Uint8Array(SerializeUint128(value.nonce)), RAW_HEADER_SIZE);
+  return array.buffer;
+}
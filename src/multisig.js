@@ -0,0 +1,298 @@
+// @flow
+
+import BN from "bn.js";
+import * as blockchain from "./annotated";
+import { blake160, computeSighashAllMessage } from "./hash";
+import { compressPublicKey, recoverLockArg } from "./secp256k1";
+import { decodeSince } from "./since";
+import { scriptToAddress } from "./address";
+import type { Script } from "./address";
+import { MAINNET, systemScript } from "./network";
+import type { Network } from "./network";
+import { findGroupsForLockArgs, groupInputsByLock } from "./scriptGroups";
+import {
+  assembleTransaction,
+  sighashGroupWitnesses,
+  toRawTransactionView,
+} from "./transaction";
+
+// Leading byte of a multisig script, reserved for future formats
+const MULTISIG_FORMAT_VERSION = 0x00;
+
+const PUBLIC_KEY_HASH_LENGTH = 20;
+
+const SIGNATURE_LENGTH = 65;
+
+/**
+ * The parameters of a SECP256K1_BLAKE160_MULTISIG lock.
+ */
+export type MultisigConfig = {
+  // blake160 of each compressed public key, as hex
+  publicKeyHashes: Array<string>,
+  // How many signatures are needed
+  threshold: number,
+  // How many of the first keys must sign
+  requireFirstN: number,
+  // Since the inputs must use, as 0x-prefixed u64 quantity
+  since?: ?string,
+};
+
+const strip0x = (hex: string): string => hex.replace(/^0x/, "").toLowerCase();
+
+/**
+ * Build a multisig configuration from public keys, in any SEC1 form, or
+ * from blake160 hashes of compressed public keys.
+ *
+ * @param keys the public keys or their hashes, in signing order
+ * @param options.threshold how many signatures are needed
+ * @param options.requireFirstN how many of the first keys must sign, 0 by default
+ * @param options.since an optional since the inputs must use, as 0x-prefixed u64 quantity
+ */
+export function multisigConfig(
+  keys: Array<string>,
+  {
+    threshold,
+    requireFirstN = 0,
+    since,
+  }: { threshold: number, requireFirstN?: number, since?: ?string }
+): MultisigConfig {
+  const publicKeyHashes = keys.map((key) =>
+    strip0x(key).length === PUBLIC_KEY_HASH_LENGTH * 2
+      ? strip0x(key)
+      : blake160(Buffer.from(compressPublicKey(key), "hex")).toString("hex")
+  );
+  const config = { publicKeyHashes, threshold, requireFirstN, since };
+  assertMultisigConfig(config);
+  return config;
+}
+
+/**
+ * Throw unless config describes a multisig lock the script accepts.
+ */
+export function assertMultisigConfig(config: MultisigConfig) {
+  const { publicKeyHashes, threshold, requireFirstN } = config;
+  const count = publicKeyHashes.length;
+  if (count === 0 || count > 255) {
+    throw new Error(`Invalid multisig key count: ${count}`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > count) {
+    throw new Error(`Invalid multisig threshold: ${threshold} of ${count}`);
+  }
+  if (!Number.isInteger(requireFirstN) || requireFirstN < 0 || requireFirstN > threshold) {
+    throw new Error(`Invalid multisig require_first_n: ${requireFirstN}, threshold: ${threshold}`);
+  }
+  publicKeyHashes.forEach((hash) => {
+    if (!/^[0-9a-f]{40}$/.test(hash)) {
+      throw new Error("Not a valid public key hash: " + hash);
+    }
+  });
+}
+
+/**
+ * Serialize the multisig script: format version, require_first_n, threshold,
+ * key count and the public key hashes.
+ *
+ * @return the multisig script as hex string
+ */
+export function serializeMultisigScript(config: MultisigConfig): string {
+  assertMultisigConfig(config);
+  return Buffer.concat([
+    Buffer.from([
+      MULTISIG_FORMAT_VERSION,
+      config.requireFirstN,
+      config.threshold,
+      config.publicKeyHashes.length,
+    ]),
+    ...config.publicKeyHashes.map((hash) => Buffer.from(hash, "hex")),
+  ]).toString("hex");
+}
+
+/**
+ * Parse a serialized multisig script back into a configuration, without
+ * since.
+ */
+export function parseMultisigScript(multisigScript: string): MultisigConfig {
+  const bytes = Buffer.from(strip0x(multisigScript), "hex");
+  if (bytes.length < 4 || bytes[0] !== MULTISIG_FORMAT_VERSION) {
+    throw new Error("Not a valid multisig script");
+  }
+  const count = bytes[3];
+  if (bytes.length !== 4 + count * PUBLIC_KEY_HASH_LENGTH) {
+    throw new Error(
+      `Invalid multisig script length! Required: ${4 + count * PUBLIC_KEY_HASH_LENGTH}, actual: ${bytes.length}`
+    );
+  }
+  const publicKeyHashes = [];
+  for (let i = 0; i < count; i++) {
+    const start = 4 + i * PUBLIC_KEY_HASH_LENGTH;
+    publicKeyHashes.push(bytes.slice(start, start + PUBLIC_KEY_HASH_LENGTH).toString("hex"));
+  }
+  const config = { publicKeyHashes, threshold: bytes[2], requireFirstN: bytes[1] };
+  assertMultisigConfig(config);
+  return config;
+}
+
+/**
+ * The lock args of a multisig configuration: blake160 of the multisig script,
+ * followed by the since as 8 little-endian bytes when there is one.
+ */
+export function multisigArgs(config: MultisigConfig): string {
+  const hash = blake160(Buffer.from(serializeMultisigScript(config), "hex"));
+  const { since: sinceHex } = config;
+  if (sinceHex == null) {
+    return hash.toString("hex");
+  }
+  decodeSince(sinceHex);
+  const since = new BN(strip0x(sinceHex), 16);
+  return Buffer.concat([hash, since.toArrayLike(Buffer, "le", 8)]).toString("hex");
+}
+
+/**
+ * The SECP256K1_BLAKE160_MULTISIG lock of a multisig configuration.
+ */
+export function multisigLockScript(config: MultisigConfig, network: Network = MAINNET): Script {
+  return systemScript(network.scripts.SECP256K1_BLAKE160_MULTISIG, multisigArgs(config));
+}
+
+/**
+ * The full address of a multisig configuration.
+ */
+export function multisigAddress(config: MultisigConfig, network: Network = MAINNET): string {
+  return scriptToAddress(multisigLockScript(config, network), { network });
+}
+
+/**
+ * The witness lock a multisig group is signed with: the multisig script
+ * followed by a zero-filled slot for each of the threshold signatures.
+ */
+export function multisigPlaceholder(config: MultisigConfig): string {
+  return serializeMultisigScript(config) + "00".repeat(SIGNATURE_LENGTH * config.threshold);
+}
+
+/**
+ * The inputs locked by the multisig lock of config.
+ */
+export function multisigGroup(
+  rawTx: string | Object,
+  rawContextsTx: Array<string | Object>,
+  config: MultisigConfig,
+  network: Network = MAINNET
+): Array<number> {
+  const [group] = findGroupsForLockArgs(
+    groupInputsByLock(rawTx, rawContextsTx),
+    [multisigArgs(config)],
+    network.scripts.SECP256K1_BLAKE160_MULTISIG
+  );
+  if (!group) {
+    throw new Error("No input is locked by the multisig lock");
+  }
+  return group.inputs;
+}
+
+/**
+ * The witnesses a multisig group is signed with, the first one holding
+ * multisigPlaceholder as its lock.
+ */
+export function multisigGroupWitnesses(
+  witnesses: Array<string>,
+  group: Array<number>,
+  inputCount: number,
+  config: MultisigConfig
+): Array<string> {
+  return sighashGroupWitnesses(witnesses, group, inputCount, multisigPlaceholder(config));
+}
+
+/**
+ * The message every cosigner of a multisig group signs.
+ */
+export function computeMultisigMessage(
+  rawTx: string | Object,
+  witnesses: Array<string>,
+  group: Array<number>,
+  config: MultisigConfig
+): string {
+  const raw = toRawTransactionView(rawTx);
+  return computeSighashAllMessage(
+    Buffer.from(blockchain.SerializeRawTransaction(raw)).toString("hex"),
+    multisigGroupWitnesses(witnesses, group, raw.getInputs().length(), config)
+  );
+}
+
+/**
+ * Merge partial signatures over message into the multisig witness lock.
+ *
+ * Each signature is matched to the key that made it. Signatures from keys
+ * outside the configuration or repeated keys are refused, as is a set that
+ * misses the threshold or one of the first requireFirstN keys. Signatures are
+ * placed in key order, and only threshold of them are kept.
+ *
+ * @return the witness lock as hex string
+ */
+export function mergeMultisigSignatures(
+  config: MultisigConfig,
+  message: string,
+  signatures: Array<string>
+): string {
+  const byKey = {};
+  signatures.forEach((signature) => {
+    const hash = recoverLockArg(message, signature);
+    const index = hash ? config.publicKeyHashes.indexOf(hash) : -1;
+    if (index < 0) {
+      throw new Error("Signature is not from a key of the multisig lock: " + signature);
+    }
+    if (index in byKey) {
+      throw new Error("Two signatures from multisig key " + index);
+    }
+    byKey[index] = signature.replace(/^0x/, "");
+  });
+  const signers = Object.keys(byKey)
+    .map(Number)
+    .sort((a, b) => a - b);
+  if (signers.length < config.threshold) {
+    throw new Error(
+      `Not enough multisig signatures! Required: ${config.threshold}, actual: ${signers.length}`
+    );
+  }
+  for (let i = 0; i < config.requireFirstN; i++) {
+    if (!(i in byKey)) {
+      throw new Error(`Missing the signature of required multisig key ${i}`);
+    }
+  }
+  return (
+    serializeMultisigScript(config) +
+    signers
+      .slice(0, config.threshold)
+      .map((index) => byKey[index])
+      .join("")
+  );
+}
+
+/**
+ * Merge the cosigners' signatures of a multisig group and put them into the
+ * transaction.
+ *
+ * @param rawTx the unsigned transaction
+ * @param witnesses all of the transaction's witnesses
+ * @param rawContextsTx list of transaction contexts for parsing, aligned with the inputs
+ * @param config the multisig configuration of the group
+ * @param signatures the cosigners' signatures, in any order
+ * @param network the network whose multisig lock is used
+ * @return the transaction hash, the signed Transaction as molecule hex and as
+ * CKB JSON-RPC JSON
+ */
+export function assembleMultisigTransaction(
+  rawTx: string | Object,
+  witnesses: Array<string>,
+  rawContextsTx: Array<string | Object>,
+  config: MultisigConfig,
+  signatures: Array<string>,
+  network: Network = MAINNET
+): { hash: string, hex: string, json: Object } {
+  const group = multisigGroup(rawTx, rawContextsTx, config, network);
+  const lock = mergeMultisigSignatures(
+    config,
+    computeMultisigMessage(rawTx, witnesses, group, config),
+    signatures
+  );
+  return assembleTransaction(rawTx, witnesses, { [group[0]]: lock });
+}
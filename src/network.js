@@ -0,0 +1,204 @@
+// @flow
+
+export type CellDep = {
+  out_point: { tx_hash: string, index: string },
+  dep_type: string,
+};
+
+/**
+ * A system script: how to reference it from a Script and the cell dep a
+ * transaction using it needs.
+ */
+export type ScriptConfig = {
+  code_hash: string,
+  hash_type: string,
+  cell_dep: CellDep,
+};
+
+/**
+ * The address prefix and system scripts of a CKB chain.
+ */
+export type Network = {
+  name: string,
+  prefix: string,
+  scripts: {
+    SECP256K1_BLAKE160: ScriptConfig,
+    SECP256K1_BLAKE160_MULTISIG: ScriptConfig,
+    DAO: ScriptConfig,
+    ANYONE_CAN_PAY: ScriptConfig,
+    SUDT: ScriptConfig,
+    OMNILOCK: ScriptConfig,
+    CHEQUE: ScriptConfig,
+  },
+};
+
+const dep = (tx_hash: string, index: string, dep_type: string): CellDep => ({
+  out_point: { tx_hash, index },
+  dep_type,
+});
+
+const SECP256K1_BLAKE160_CODE_HASH =
+  "0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8";
+const SECP256K1_BLAKE160_MULTISIG_CODE_HASH =
+  "0x5c5069eb0857efc65e1bca0c07df34c31663b3622fd3876c876320fc9634e2a8";
+const DAO_CODE_HASH = "0x82d76d1b75fe2fd9a27dfbaa65a039221a380d76c926f378d3f81cf3e7e13f2e";
+
+const MAINNET_GENESIS_DEP_GROUP =
+  "0x71a7ba8fc96349fea0ed3a5c47992e3b4084b031a42264a018e0072e8172e46c";
+const TESTNET_GENESIS_DEP_GROUP =
+  "0xf8de3bb47d055cdf460d93a2a6e1b05f7432f9777c8c474abf4eec1d4aee5d37";
+
+export const MAINNET: Network = {
+  name: "mainnet",
+  prefix: "ckb",
+  scripts: {
+    SECP256K1_BLAKE160: {
+      code_hash: SECP256K1_BLAKE160_CODE_HASH,
+      hash_type: "type",
+      cell_dep: dep(MAINNET_GENESIS_DEP_GROUP, "0x0", "dep_group"),
+    },
+    SECP256K1_BLAKE160_MULTISIG: {
+      code_hash: SECP256K1_BLAKE160_MULTISIG_CODE_HASH,
+      hash_type: "type",
+      cell_dep: dep(MAINNET_GENESIS_DEP_GROUP, "0x1", "dep_group"),
+    },
+    DAO: {
+      code_hash: DAO_CODE_HASH,
+      hash_type: "type",
+      cell_dep: dep(
+        "0xe2fb199810d49a4d8beec56718ba2593b665db9d52299a0f9e6e75416d73ff5c",
+        "0x2",
+        "code"
+      ),
+    },
+    ANYONE_CAN_PAY: {
+      code_hash: "0xd369597ff47f29fbc0d47d2e3775370d1250b85140c670e4718af712983a2354",
+      hash_type: "type",
+      cell_dep: dep(
+        "0x4153a2014952d7cac45f285ce9a7c5c0c0e1b21f2d378b82ac1433cb11c25c4d",
+        "0x0",
+        "dep_group"
+      ),
+    },
+    SUDT: {
+      code_hash: "0x5e7a36a77e68eecc013dfa2fe6a23f3b6c344b04005808694ae6dd45eea4cfd5",
+      hash_type: "type",
+      cell_dep: dep(
+        "0xc7813f6a415144643970c2e88e0bb6ca6a8edc5dd7c1022746f628284a9936d5",
+        "0x0",
+        "code"
+      ),
+    },
+    OMNILOCK: {
+      code_hash: "0x9b819793a64463aed77c615d6cb226eea5487ccfc0783043a587254cda2b6f26",
+      hash_type: "type",
+      cell_dep: dep(
+        "0xc76edf469816aa22f416503c38d0b533d2a018e253e379f134c3985b3472c842",
+        "0x0",
+        "code"
+      ),
+    },
+    CHEQUE: {
+      code_hash: "0xe4d4ecc6e5f9a059bf2f7a82cca292083aebc0c421566a52484fe2ec51a9fb0c",
+      hash_type: "type",
+      cell_dep: dep(
+        "0x04632cc459459cf5c9d384b43dee3e36f542a464bdd4127be7d6618ac6f8d268",
+        "0x0",
+        "dep_group"
+      ),
+    },
+  },
+};
+
+export const TESTNET: Network = {
+  name: "testnet",
+  prefix: "ckt",
+  scripts: {
+    SECP256K1_BLAKE160: {
+      code_hash: SECP256K1_BLAKE160_CODE_HASH,
+      hash_type: "type",
+      cell_dep: dep(TESTNET_GENESIS_DEP_GROUP, "0x0", "dep_group"),
+    },
+    SECP256K1_BLAKE160_MULTISIG: {
+      code_hash: SECP256K1_BLAKE160_MULTISIG_CODE_HASH,
+      hash_type: "type",
+      cell_dep: dep(TESTNET_GENESIS_DEP_GROUP, "0x1", "dep_group"),
+    },
+    DAO: {
+      code_hash: DAO_CODE_HASH,
+      hash_type: "type",
+      cell_dep: dep(
+        "0x8f8c79eb6671709633fe6a46de93c0fedc9c1b8a6527a18d3983879542635c9f",
+        "0x2",
+        "code"
+      ),
+    },
+    ANYONE_CAN_PAY: {
+      code_hash: "0x3419a1c09eb2567f6552ee7a8ecffd64155cffe0f1796e6e61ec088d740c1356",
+      hash_type: "type",
+      cell_dep: dep(
+        "0xec26b0f85ed839ece5f11c4c4e837ec359f5adc4420410f6453b1f6b60fb96a6",
+        "0x0",
+        "dep_group"
+      ),
+    },
+    SUDT: {
+      code_hash: "0xc5e5dcf215925f7ef4dfaf5f4b4f105bc321c02776d6e7d52a1db3fcd9d011a4",
+      hash_type: "type",
+      cell_dep: dep(
+        "0xe12877ebd2c3c364dc46c5c992bcfaf4fee33fa13eebdf82c591fc9825aab769",
+        "0x0",
+        "code"
+      ),
+    },
+    OMNILOCK: {
+      code_hash: "0xf329effd1c475a2978453c8600e1eaf0bc2087ee093c3ee64cc96ec6847752cb",
+      hash_type: "type",
+      cell_dep: dep(
+        "0xec18bf0d857c981c3d1f4e17999b9b90c484b303378e94de1a57b0872f5d4602",
+        "0x0",
+        "code"
+      ),
+    },
+    CHEQUE: {
+      code_hash: "0x60d5f39efce409c587cb9ea359cefdead650ca128f0bd9cb3855348f98c70d5b",
+      hash_type: "type",
+      cell_dep: dep(
+        "0x7f96858be0a9d584b4a9ea190e0420835156a6010a5fde15ffcdc9d9c721ccab",
+        "0x0",
+        "dep_group"
+      ),
+    },
+  },
+};
+
+const PRESETS = [MAINNET, TESTNET];
+
+/**
+ * The network using an address prefix, among networks or the presets.
+ *
+ * A devnet usually shares the ckt prefix with TESTNET while deploying its own
+ * system scripts, so pass it in networks to have its addresses read with its
+ * scripts rather than the testnet ones. The first match wins.
+ */
+export function networkForPrefix(prefix: string, networks: Array<Network> = PRESETS): Network {
+  const network = networks.find((candidate) => candidate.prefix === prefix);
+  if (!network) {
+    throw new Error("Unknown address prefix: " + prefix);
+  }
+  return network;
+}
+
+/**
+ * A script locked with the system script config, as JSON.
+ */
+export function systemScript(
+  config: ScriptConfig,
+  args: string
+): { code_hash: string, hash_type: string, args: string } {
+  return {
+    code_hash: config.code_hash,
+    hash_type: config.hash_type,
+    args: "0x" + args.replace(/^0x/, ""),
+  };
+}
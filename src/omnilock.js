@@ -0,0 +1,141 @@
+// @flow
+
+import * as molecule from "./molecule";
+import { scriptToAddress } from "./address";
+import type { Script } from "./address";
+import { MAINNET, systemScript } from "./network";
+import type { Network } from "./network";
+import type { ScriptGroup } from "./scriptGroups";
+
+/**
+ * Omnilock auth flags: how the auth content of the args is checked.
+ */
+export const OmnilockAuthFlag = {
+  // blake160 of a compressed secp256k1 public key, signed like the default lock
+  CKB_SECP256K1: 0x00,
+};
+
+const AUTH_CONTENT_LENGTH = 20;
+
+// Omnilock flags byte with none of the optional modes enabled
+const NO_OMNILOCK_FLAGS = 0x00;
+
+const strip0x = (hex: string): string => hex.replace(/^0x/, "").toLowerCase();
+
+/**
+ * The Omnilock args owned by a lock arg: the CKB secp256k1 auth flag, the
+ * lock arg as auth content, and no Omnilock flags.
+ *
+ * @return the args as hex string
+ */
+export function omnilockArgs(lockArg: string): string {
+  const arg = strip0x(lockArg);
+  if (!/^[0-9a-f]{40}$/.test(arg)) {
+    throw new Error("Not a valid lock arg: " + lockArg);
+  }
+  return Buffer.concat([
+    Buffer.from([OmnilockAuthFlag.CKB_SECP256K1]),
+    Buffer.from(arg, "hex"),
+    Buffer.from([NO_OMNILOCK_FLAGS]),
+  ]).toString("hex");
+}
+
+/**
+ * Split Omnilock args into the auth flag, the auth content and the Omnilock
+ * flags. Any data following the flags is returned as rest.
+ */
+export function parseOmnilockArgs(
+  args: string
+): { authFlag: number, authContent: string, omnilockFlags: number, rest: string } {
+  const bytes = Buffer.from(strip0x(args), "hex");
+  if (bytes.length < AUTH_CONTENT_LENGTH + 2) {
+    throw new Error(`Invalid Omnilock args length: ${bytes.length}`);
+  }
+  return {
+    authFlag: bytes[0],
+    authContent: bytes.slice(1, 1 + AUTH_CONTENT_LENGTH).toString("hex"),
+    omnilockFlags: bytes[1 + AUTH_CONTENT_LENGTH],
+    rest: bytes.slice(2 + AUTH_CONTENT_LENGTH).toString("hex"),
+  };
+}
+
+/**
+ * The Omnilock lock owned by a lock arg. Spending it needs the Omnilock cell
+ * dep and the SECP256K1_BLAKE160 dep group, which holds the secp256k1 data.
+ */
+export function omnilockLockScript(lockArg: string, network: Network = MAINNET): Script {
+  return systemScript(network.scripts.OMNILOCK, omnilockArgs(lockArg));
+}
+
+/**
+ * The full address of the Omnilock lock owned by a lock arg.
+ */
+export function omnilockAddress(lockArg: string, network: Network = MAINNET): string {
+  return scriptToAddress(omnilockLockScript(lockArg, network), { network });
+}
+
+/**
+ * The witness lock of an Omnilock input: an OmniLockWitnessLock holding the
+ * signature and neither identity nor preimage.
+ *
+ * @param signature the 65-byte signature as hex string
+ * @return the serialized OmniLockWitnessLock as hex string
+ */
+export function omnilockWitnessLock(signature: string): string {
+  return Buffer.from(
+    molecule.SerializeOmniLockWitnessLock({
+      signature: strip0x(signature),
+      omni_identity: null,
+      preimage: null,
+    })
+  ).toString("hex");
+}
+
+/**
+ * The witness lock an Omnilock group is signed with. Omnilock zeroes the
+ * whole witness lock before hashing, so this is 85 zero bytes, the length of
+ * a lock holding a 65-byte signature.
+ */
+export const OMNILOCK_PLACEHOLDER = "00".repeat(85);
+
+/**
+ * The signature held by an Omnilock witness lock, or null if it has none.
+ */
+export function parseOmnilockWitnessLock(lock: string): ?string {
+  return new molecule.OmniLockWitnessLock(strip0x(lock)).toObject().signature;
+}
+
+/**
+ * The groups locked by the Omnilock lock of network with the CKB secp256k1
+ * auth of one of lockArgs and no Omnilock flags, each paired with the lock
+ * arg it matched.
+ */
+export function findOmnilockGroupsForLockArgs(
+  groups: Array<ScriptGroup>,
+  lockArgs: Array<string>,
+  network: Network = MAINNET
+): Array<ScriptGroup & { lockArg: string }> {
+  const { code_hash, hash_type } = network.scripts.OMNILOCK;
+  const args = lockArgs.map(strip0x);
+  const matches = [];
+  groups.forEach((group) => {
+    const { script } = group;
+    if (strip0x(script.code_hash) !== strip0x(code_hash) || script.hash_type !== hash_type) {
+      return;
+    }
+    let parsed;
+    try {
+      parsed = parseOmnilockArgs(script.args);
+    } catch (e) {
+      return;
+    }
+    if (
+      parsed.authFlag === OmnilockAuthFlag.CKB_SECP256K1 &&
+      parsed.omnilockFlags === NO_OMNILOCK_FLAGS &&
+      args.includes(parsed.authContent)
+    ) {
+      matches.push({ ...group, lockArg: parsed.authContent });
+    }
+  });
+  return matches;
+}
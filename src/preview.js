@@ -0,0 +1,200 @@
+// @flow
+
+import BN from "bn.js";
+import BIPPath from "bip32-path";
+import * as blockchain from "./annotated";
+import { computeScriptHash } from "./hash";
+import { scriptToAddress } from "./address";
+import type { Script } from "./address";
+import { isDaoDeposit, isDaoWithdrawing } from "./dao";
+import { MAINNET } from "./network";
+import type { Network } from "./network";
+import { toRpcCellOutput } from "./rpc";
+import { describeSince, isValidSince } from "./since";
+
+/**
+ * The Nervos DAO steps a transaction can take: depositing, withdrawing a
+ * deposit (phase 1) and unlocking a withdrawing cell (phase 2).
+ */
+export const DaoOperation = {
+  DEPOSIT: "deposit",
+  WITHDRAW: "withdraw",
+  UNLOCK: "unlock",
+};
+
+export type InputPreview = {
+  txHash: string,
+  index: number,
+  capacity: string,
+  address: string,
+  // the since as quantity, and in human terms unless it is malformed
+  since: string,
+  sinceDescription: ?string,
+  dao: ?string,
+  type: ?Script,
+  unknownType: boolean,
+};
+
+export type OutputPreview = {
+  index: number,
+  capacity: string,
+  address: string,
+  change: boolean,
+  dao: ?string,
+  type: ?Script,
+  unknownType: boolean,
+};
+
+/**
+ * The facts about an AnnotatedTransaction the device asks the user to
+ * approve. Capacities are in shannons, as quantities.
+ */
+export type TransactionPreview = {
+  signPath: string,
+  changePath: string,
+  inputs: Array<InputPreview>,
+  outputs: Array<OutputPreview>,
+  inputCapacity: string,
+  outputCapacity: string,
+  fee: ?string,
+  daoOperations: Array<string>,
+  unknownTypeScripts: Array<Script>,
+};
+
+const toHex = (buffer: ArrayBuffer): string => "0x" + Buffer.from(buffer).toString("hex");
+
+const littleEndianQuantity = (buffer: ArrayBuffer): string =>
+  "0x" + new BN(Buffer.from(buffer), 16, "le").toString(16);
+
+const mapVec = (vec: any, f: (any, number) => any): Array<any> => {
+  const result = [];
+  for (let i = 0; i < vec.length(); i++) {
+    result.push(f(vec.indexAt(i), i));
+  }
+  return result;
+};
+
+const pathString = (path: blockchain.Bip32): string =>
+  BIPPath.fromPathArray(mapVec(path, (index) => index.toLittleEndianUint32())).toString();
+
+const sameLockArg = (lockArg: string, other: string): boolean =>
+  lockArg.replace(/^0x/, "").toLowerCase() === other.replace(/^0x/, "").toLowerCase();
+
+/**
+ * Summarize an AnnotatedTransaction, as built by buildAnnotatedTransaction,
+ * the way the device displays it for approval.
+ *
+ * Outputs are change when locked by the SECP256K1_BLAKE160 lock of
+ * changeLockArg, the lock arg of the transaction's changePath. Type scripts
+ * other than the DAO's are unknown to the device. The fee is null when the
+ * transaction unlocks DAO withdrawing cells, whose compensation is not part
+ * of their capacity.
+ *
+ * @param tx the transaction, as JSON or view
+ * @param options.changeLockArg the lock arg of the change path, as hex
+ * @param options.network the network to format addresses for and whose DAO script is known
+ */
+export function describeAnnotatedTransaction(
+  tx: blockchain.AnnotatedTransaction | Object,
+  { changeLockArg, network = MAINNET }: { changeLockArg: string, network?: Network }
+): TransactionPreview {
+  const view = new blockchain.AnnotatedTransaction(blockchain.SerializeAnnotatedTransaction(tx));
+  const raw = view.getRaw();
+  const secp = network.scripts.SECP256K1_BLAKE160;
+  const unknownTypes = new Map();
+  const unknownType = (type: ?Script): boolean => {
+    if (!type) {
+      return false;
+    }
+    const dao = network.scripts.DAO;
+    if (type.code_hash.toLowerCase() === dao.code_hash.toLowerCase() && type.hash_type === dao.hash_type) {
+      return false;
+    }
+    unknownTypes.set(computeScriptHash(type), type);
+    return true;
+  };
+
+  const inputs = mapVec(raw.getInputs(), (annotated, i) => {
+    const input = annotated.getInput();
+    const source = annotated.getSource();
+    const index = input.getPreviousOutput().getIndex().toLittleEndianUint32();
+    if (index >= source.getOutputs().length()) {
+      throw new Error(`Context transaction of input ${i} has no output ${index}`);
+    }
+    const output = toRpcCellOutput(source.getOutputs().indexAt(index));
+    const data = toHex(source.getOutputsData().indexAt(index).raw());
+    const since = input.getSince().raw();
+    let dao = null;
+    if (isDaoDeposit(output, data, network)) {
+      dao = DaoOperation.WITHDRAW;
+    } else if (isDaoWithdrawing(output, data, network)) {
+      dao = DaoOperation.UNLOCK;
+    }
+    return {
+      txHash: toHex(input.getPreviousOutput().getTxHash().raw()),
+      index,
+      capacity: output.capacity,
+      address: scriptToAddress(output.lock, { network }),
+      since: littleEndianQuantity(since),
+      sinceDescription: isValidSince(toHex(since), true) ? describeSince(toHex(since), true) : null,
+      dao,
+      type: output.type,
+      unknownType: unknownType(output.type),
+    };
+  });
+
+  const outputsData = raw.getOutputsData();
+  const outputs = mapVec(raw.getOutputs(), (cellOutput, index) => {
+    const output = toRpcCellOutput(cellOutput);
+    const data = toHex(outputsData.indexAt(index).raw());
+    const { lock } = output;
+    let dao = null;
+    if (isDaoDeposit(output, data, network)) {
+      dao = DaoOperation.DEPOSIT;
+    } else if (isDaoWithdrawing(output, data, network)) {
+      dao = DaoOperation.WITHDRAW;
+    }
+    return {
+      index,
+      capacity: output.capacity,
+      address: scriptToAddress(lock, { network }),
+      change:
+        lock.code_hash.toLowerCase() === secp.code_hash.toLowerCase() &&
+        lock.hash_type === secp.hash_type &&
+        sameLockArg(lock.args, changeLockArg),
+      dao,
+      type: output.type,
+      unknownType: unknownType(output.type),
+    };
+  });
+
+  const sum = (cells) =>
+    cells.reduce((total, { capacity }) => total.add(new BN(capacity.slice(2), 16)), new BN(0));
+  const inputCapacity = sum(inputs);
+  const outputCapacity = sum(outputs);
+  const operations = new Set([...inputs, ...outputs].map(({ dao }) => dao));
+  const daoOperations = Object.values(DaoOperation).filter((operation) =>
+    operations.has(operation)
+  );
+  let fee = null;
+  if (!operations.has(DaoOperation.UNLOCK)) {
+    if (outputCapacity.gt(inputCapacity)) {
+      throw new Error(
+        `Output capacity exceeds input capacity! Inputs: 0x${inputCapacity.toString(16)}, outputs: 0x${outputCapacity.toString(16)}`
+      );
+    }
+    fee = "0x" + inputCapacity.sub(outputCapacity).toString(16);
+  }
+
+  return {
+    signPath: pathString(view.getSignPath()),
+    changePath: pathString(view.getChangePath()),
+    inputs,
+    outputs,
+    inputCapacity: "0x" + inputCapacity.toString(16),
+    outputCapacity: "0x" + outputCapacity.toString(16),
+    fee,
+    daoOperations: (daoOperations: Array<any>),
+    unknownTypeScripts: Array.from(unknownTypes.values()),
+  };
+}
@@ -0,0 +1,133 @@
+// @flow
+
+import { computeTransactionHash } from "./hash";
+import { toRawTransactionView } from "./transaction";
+import { toRpcRawTransaction } from "./rpc";
+
+/**
+ * Looks up transactions by hash, as CKB JSON-RPC JSON or anything else
+ * SerializeRawTransaction accepts.
+ */
+export interface TransactionResolver {
+  getTransaction(txHash: string): Promise<Object>;
+}
+
+const normalizeHash = (txHash: string): string =>
+  "0x" + txHash.replace(/^0x/, "").toLowerCase();
+
+/**
+ * Resolves transactions through the get_transaction method of a CKB node.
+ *
+ * @example
+ * const resolver = new RpcTransactionResolver("https://testnet.ckb.dev/rpc");
+ */
+export class RpcTransactionResolver implements TransactionResolver {
+  url: string;
+  fetch: Function;
+  id: number = 0;
+
+  /**
+   * @param url the node's JSON-RPC endpoint
+   * @param options.fetch a fetch implementation, the global one by default
+   */
+  constructor(url: string, { fetch: fetchImpl }: { fetch?: Function } = {}) {
+    this.url = url;
+    this.fetch = fetchImpl || ((...args) => fetch(...args));
+  }
+
+  async getTransaction(txHash: string): Promise<Object> {
+    const response = await this.fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        id: ++this.id,
+        jsonrpc: "2.0",
+        method: "get_transaction",
+        params: [normalizeHash(txHash)],
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`get_transaction failed with HTTP status ${response.status}`);
+    }
+    const { result, error } = await response.json();
+    if (error) {
+      throw new Error(`get_transaction failed: ${error.message}`);
+    }
+    if (!result || !result.transaction) {
+      throw new Error(`Transaction not found: ${normalizeHash(txHash)}`);
+    }
+    return result.transaction;
+  }
+}
+
+/**
+ * Resolves transactions from a fixed set, for tests and offline signing.
+ */
+export class MemoryTransactionResolver implements TransactionResolver {
+  transactions: { [txHash: string]: Object } = {};
+
+  /**
+   * @param transactions transactions as JSON or serialized RawTransaction hex
+   */
+  constructor(transactions: Array<string | Object> = []) {
+    transactions.forEach((tx) => this.add(tx));
+  }
+
+  /**
+   * Add a transaction, under its computed hash unless txHash is given.
+   */
+  add(tx: string | Object, txHash?: string) {
+    const hash = txHash || (typeof tx === "object" && tx.hash) || computeTransactionHash(tx);
+    this.transactions[normalizeHash(hash)] =
+      typeof tx === "string" ? toRpcRawTransaction(toRawTransactionView(tx)) : tx;
+  }
+
+  async getTransaction(txHash: string): Promise<Object> {
+    const tx = this.transactions[normalizeHash(txHash)];
+    if (!tx) {
+      throw new Error(`Transaction not found: ${normalizeHash(txHash)}`);
+    }
+    return tx;
+  }
+}
+
+/**
+ * Remembers the transactions another resolver returned. Failed lookups are
+ * not cached.
+ */
+export class CachingTransactionResolver implements TransactionResolver {
+  resolver: TransactionResolver;
+  cache: { [txHash: string]: Promise<Object> } = {};
+
+  constructor(resolver: TransactionResolver) {
+    this.resolver = resolver;
+  }
+
+  getTransaction(txHash: string): Promise<Object> {
+    const hash = normalizeHash(txHash);
+    if (!(hash in this.cache)) {
+      this.cache[hash] = this.resolver.getTransaction(hash).catch((error) => {
+        delete this.cache[hash];
+        throw error;
+      });
+    }
+    return this.cache[hash];
+  }
+}
+
+/**
+ * Fetch the transaction each input spends from, aligned with the inputs as
+ * buildAnnotatedTransaction expects.
+ */
+export function resolveContextTransactions(
+  resolver: TransactionResolver,
+  rawTx: string | Object
+): Promise<Array<Object>> {
+  const inputs = toRawTransactionView(rawTx).getInputs();
+  const lookups = [];
+  for (let i = 0; i < inputs.length(); i++) {
+    const txHash = Buffer.from(inputs.indexAt(i).getPreviousOutput().getTxHash().raw());
+    lookups.push(resolver.getTransaction(txHash.toString("hex")));
+  }
+  return Promise.all(lookups);
+}
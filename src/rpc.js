@@ -0,0 +1,99 @@
+// @flow
+
+import * as blockchain from "./annotated";
+
+const HASH_TYPES = {
+  [0b00000000]: "data",
+  [0b00000001]: "type",
+  [0b00000010]: "data1",
+  [0b00000100]: "data2",
+};
+
+const DEP_TYPES = {
+  [0]: "code",
+  [1]: "dep_group",
+};
+
+const toHex = (buffer: ArrayBuffer): string =>
+  "0x" + Buffer.from(buffer).toString("hex");
+
+// Molecule integers are little-endian, the RPC wants minimal big-endian hex
+const toQuantity = (buffer: ArrayBuffer): string => {
+  const bigEndian = Buffer.from(buffer).reverse().toString("hex");
+  return "0x" + (bigEndian.replace(/^0+/, "") || "0");
+};
+
+/**
+ * Format a Script view as CKB JSON-RPC JSON.
+ */
+export function toRpcScript(script: blockchain.Script): Object {
+  const hashType = script.getHashType();
+  if (!(hashType in HASH_TYPES)) {
+    throw new Error("Not a valid hash type: " + hashType);
+  }
+  return {
+    code_hash: toHex(script.getCodeHash().raw()),
+    hash_type: HASH_TYPES[hashType],
+    args: toHex(script.getArgs().raw()),
+  };
+}
+
+/**
+ * Format a CellOutput view as CKB JSON-RPC JSON.
+ */
+export function toRpcCellOutput(output: blockchain.CellOutput): Object {
+  const type = output.getType();
+  return {
+    capacity: toQuantity(output.getCapacity().raw()),
+    lock: toRpcScript(output.getLock()),
+    type: type.hasValue() ? toRpcScript(type.value()) : null,
+  };
+}
+
+const mapVec = (vec: any, f: (any) => any): Array<any> => {
+  const result = [];
+  for (let i = 0; i < vec.length(); i++) {
+    result.push(f(vec.indexAt(i)));
+  }
+  return result;
+};
+
+/**
+ * Format a RawTransaction, given as a view or anything SerializeRawTransaction
+ * accepts, as CKB JSON-RPC JSON.
+ */
+export function toRpcRawTransaction(rawTx: blockchain.RawTransaction | Object): Object {
+  const raw = new blockchain.RawTransaction(blockchain.SerializeRawTransaction(rawTx));
+  return {
+    version: toQuantity(raw.getVersion().raw()),
+    cell_deps: mapVec(raw.getCellDeps(), (dep) => ({
+      out_point: {
+        tx_hash: toHex(dep.getOutPoint().getTxHash().raw()),
+        index: toQuantity(dep.getOutPoint().getIndex().raw()),
+      },
+      dep_type: DEP_TYPES[dep.getDepType()],
+    })),
+    header_deps: mapVec(raw.getHeaderDeps(), (hash) => toHex(hash.raw())),
+    inputs: mapVec(raw.getInputs(), (input) => ({
+      since: toQuantity(input.getSince().raw()),
+      previous_output: {
+        tx_hash: toHex(input.getPreviousOutput().getTxHash().raw()),
+        index: toQuantity(input.getPreviousOutput().getIndex().raw()),
+      },
+    })),
+    outputs: mapVec(raw.getOutputs(), toRpcCellOutput),
+    outputs_data: mapVec(raw.getOutputsData(), (data) => toHex(data.raw())),
+  };
+}
+
+/**
+ * Format a Transaction, given as a view or as {raw, witnesses}, as CKB
+ * JSON-RPC JSON ready for send_transaction.
+ */
+export function toRpcTransaction(tx: blockchain.Transaction | Object): Object {
+  const view = new blockchain.Transaction(blockchain.SerializeTransaction(tx));
+  return {
+    ...toRpcRawTransaction(view.getRaw()),
+    witnesses: mapVec(view.getWitnesses(), (witness) => toHex(witness.raw())),
+  };
+}
@@ -0,0 +1,82 @@
+// @flow
+
+import * as blockchain from "./annotated";
+import { toRpcScript } from "./rpc";
+import { inputLockScripts } from "./transaction";
+import { MAINNET } from "./network";
+
+/**
+ * Code hash of the SECP256K1_BLAKE160 sighash-all lock, referenced by type.
+ */
+export const SECP256K1_BLAKE160_CODE_HASH = MAINNET.scripts.SECP256K1_BLAKE160.code_hash.slice(2);
+
+type LockConfig = { code_hash: string, hash_type: string };
+
+export type ScriptGroup = {
+  // Lock script shared by the group, as CKB JSON-RPC JSON
+  script: Object,
+  // Indices of the inputs locked by script, in transaction order
+  inputs: Array<number>,
+};
+
+/**
+ * Group the inputs of a transaction by the lock script of the cells they
+ * spend, read from the context transactions aligned with the inputs. Groups
+ * are returned in order of their first input.
+ */
+export function groupInputsByLock(
+  rawTx: string | Object,
+  rawContextsTx: Array<string | Object>
+): Array<ScriptGroup> {
+  const groups = [];
+  const byLock = {};
+  inputLockScripts(rawTx, rawContextsTx).forEach((lock, index) => {
+    const key = lock.toString("hex");
+    if (!(key in byLock)) {
+      byLock[key] = {
+        script: toRpcScript(new blockchain.Script(key)),
+        inputs: [],
+      };
+      groups.push(byLock[key]);
+    }
+    byLock[key].inputs.push(index);
+  });
+  return groups;
+}
+
+const normalizeHex = (hex: string): string => hex.replace(/^0x/, "").toLowerCase();
+
+/**
+ * Whether script is the lock described by lock, SECP256K1_BLAKE160 by
+ * default, with args equal to lockArg.
+ */
+export function isLockFor(
+  script: Object,
+  lockArg: string,
+  lock: LockConfig = MAINNET.scripts.SECP256K1_BLAKE160
+): boolean {
+  return (
+    normalizeHex(script.code_hash) === normalizeHex(lock.code_hash) &&
+    script.hash_type === lock.hash_type &&
+    normalizeHex(script.args) === normalizeHex(lockArg)
+  );
+}
+
+/**
+ * The groups locked by lock, SECP256K1_BLAKE160 by default, with one of
+ * lockArgs, each paired with the lock arg it matched.
+ */
+export function findGroupsForLockArgs(
+  groups: Array<ScriptGroup>,
+  lockArgs: Array<string>,
+  lock: LockConfig = MAINNET.scripts.SECP256K1_BLAKE160
+): Array<ScriptGroup & { lockArg: string }> {
+  const matches = [];
+  groups.forEach((group) => {
+    const lockArg = lockArgs.find((arg) => isLockFor(group.script, arg, lock));
+    if (lockArg !== undefined) {
+      matches.push({ ...group, lockArg: normalizeHex(lockArg) });
+    }
+  });
+  return matches;
+}
@@ -0,0 +1,93 @@
+// @flow
+
+import { ec as EC } from "elliptic";
+import { blake160, ckbHash } from "./hash";
+import { SignatureMismatchError } from "./errors";
+
+const curve = new EC("secp256k1");
+
+const MESSAGE_MAGIC = Buffer.from("Nervos Message:");
+
+const strip0x = (hex: string): string => hex.replace(/^0x/, "");
+
+/**
+ * Compress a secp256k1 public key given as hex, in either compressed or
+ * uncompressed SEC1 form.
+ *
+ * @return the 33-byte compressed public key as hex string
+ */
+export function compressPublicKey(publicKey: string): string {
+  return curve.keyFromPublic(strip0x(publicKey), "hex").getPublic(true, "hex");
+}
+
+/**
+ * The SECP256K1_BLAKE160 lock arg of a public key: blake160 of its
+ * compressed form.
+ */
+export function publicKeyToLockArg(publicKey: string): string {
+  return blake160(Buffer.from(compressPublicKey(publicKey), "hex")).toString("hex");
+}
+
+/**
+ * The 32-byte digest the device signs for signMessage.
+ */
+export function computeMessageHash(rawMsgHex: string): string {
+  return ckbHash(
+    Buffer.concat([MESSAGE_MAGIC, Buffer.from(strip0x(rawMsgHex), "hex")])
+  ).toString("hex");
+}
+
+/**
+ * Recover the public key from a 65-byte recoverable signature (r, s and the
+ * recovery id) over a 32-byte message.
+ *
+ * @return the compressed public key as hex string
+ */
+export function recoverPublicKey(message: string, signature: string): string {
+  const sig = Buffer.from(strip0x(signature), "hex");
+  if (sig.length !== 65) {
+    throw new Error(`Invalid signature length! Required: 65, actual: ${sig.length}`);
+  }
+  const recoveryId = sig[64] >= 27 ? sig[64] - 27 : sig[64];
+  const point = curve.recoverPubKey(
+    Buffer.from(strip0x(message), "hex"),
+    { r: sig.slice(0, 32), s: sig.slice(32, 64) },
+    recoveryId
+  );
+  return point.encode("hex", true);
+}
+
+/**
+ * Recover the lock arg from a signature, or null if the signature does not
+ * recover to any public key.
+ */
+export function recoverLockArg(message: string, signature: string): ?string {
+  try {
+    return publicKeyToLockArg(recoverPublicKey(message, signature));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check that signature over message was made by the key behind lockArg.
+ */
+export function verifySignature(message: string, signature: string, lockArg: string): boolean {
+  return recoverLockArg(message, signature) === strip0x(lockArg).toLowerCase();
+}
+
+/**
+ * Throw a SignatureMismatchError unless signature over message was made by
+ * the key behind lockArg.
+ */
+export function assertSignature(
+  message: string,
+  signature: string,
+  lockArg: string,
+  ins: ?number
+) {
+  const recovered = recoverLockArg(message, signature);
+  if (recovered !== strip0x(lockArg).toLowerCase()) {
+    throw new SignatureMismatchError(strip0x(lockArg), recovered, ins);
+  }
+}
@@ -0,0 +1,183 @@
+// @flow
+
+import BN from "bn.js";
+import type { Epoch } from "./dao";
+
+/**
+ * What a since counts: block numbers, epochs with fraction, or block median
+ * timestamps in seconds.
+ */
+export const SinceMetric = {
+  BLOCK_NUMBER: "blockNumber",
+  EPOCH: "epoch",
+  TIMESTAMP: "timestamp",
+};
+
+/**
+ * A decoded since. Absolute sinces lock an input until the chain reaches the
+ * value; relative ones until the value has passed since the input's cell was
+ * committed. Block number and timestamp sinces hold a quantity in value,
+ * epoch sinces an Epoch in epoch.
+ */
+export type Since = {
+  relative: boolean,
+  metric: string,
+  value?: string,
+  epoch?: Epoch,
+};
+
+const RELATIVE_FLAG = 0x80;
+const METRIC_MASK = 0x60;
+const RESERVED_MASK = 0x1f;
+const METRIC_FLAGS = {
+  [SinceMetric.BLOCK_NUMBER]: 0x00,
+  [SinceMetric.EPOCH]: 0x20,
+  [SinceMetric.TIMESTAMP]: 0x40,
+};
+
+const VALUE_BITS = 56;
+
+const quantity = (value: BN): string => "0x" + value.toString(16);
+
+const toBN = (value: string | number): BN =>
+  typeof value === "number" ? new BN(value) : new BN(value.replace(/^0x/, ""), 16);
+
+const assertEpoch = ({ number, index, length }: Epoch) => {
+  if (
+    !Number.isInteger(number) ||
+    number < 0 ||
+    number >= 0x1000000 ||
+    !Number.isInteger(index) ||
+    index < 0 ||
+    !Number.isInteger(length) ||
+    length < 0 ||
+    length >= 0x10000
+  ) {
+    throw new Error(`Invalid since epoch: ${number} ${index}/${length}`);
+  }
+  // A whole epoch may leave index and length both 0
+  if (index >= length && !(index === 0 && length === 0)) {
+    throw new Error(`Invalid since epoch fraction: ${index}/${length}`);
+  }
+};
+
+/**
+ * Encode a since.
+ *
+ * @return the since as 0x-prefixed u64 quantity
+ */
+export function encodeSince({ relative, metric, value, epoch }: Since): string {
+  if (!(metric in METRIC_FLAGS)) {
+    throw new Error(`Unknown since metric: ${metric}`);
+  }
+  let encoded;
+  if (metric === SinceMetric.EPOCH) {
+    if (epoch == null) {
+      throw new Error("An epoch since requires epoch");
+    }
+    assertEpoch(epoch);
+    encoded = new BN(epoch.length)
+      .shln(40)
+      .or(new BN(epoch.index).shln(24))
+      .or(new BN(epoch.number));
+  } else {
+    if (value == null) {
+      throw new Error(`A ${metric} since requires value`);
+    }
+    encoded = toBN(value);
+    if (encoded.bitLength() > VALUE_BITS) {
+      throw new Error(`Since value does not fit in ${VALUE_BITS} bits: ${value}`);
+    }
+  }
+  const flags = (relative ? RELATIVE_FLAG : 0) | METRIC_FLAGS[metric];
+  return quantity(new BN(flags).shln(VALUE_BITS).or(encoded));
+}
+
+/**
+ * Decode and validate a since, as quantity or 8 little-endian bytes of hex.
+ *
+ * @param since the since as 0x-prefixed u64 quantity, or as hex in the byte order of annotated CellInputs
+ * @param littleEndian whether since is given as little-endian bytes
+ */
+export function decodeSince(since: string, littleEndian: boolean = false): Since {
+  const hex = since.replace(/^0x/, "");
+  if (!/^[0-9a-fA-F]+$/.test(hex)) {
+    throw new Error("Since is not hex: " + since);
+  }
+  const value = littleEndian ? new BN(hex, 16, "le") : new BN(hex, 16);
+  if (value.bitLength() > 64) {
+    throw new Error("Since does not fit in 64 bits: " + since);
+  }
+  const flags = value.shrn(VALUE_BITS).toNumber();
+  if (flags & RESERVED_MASK) {
+    throw new Error("Since has reserved flags set: " + since);
+  }
+  const metric = Object.keys(METRIC_FLAGS).find(
+    (key) => METRIC_FLAGS[key] === (flags & METRIC_MASK)
+  );
+  if (metric == null) {
+    throw new Error("Since has an invalid metric flag: " + since);
+  }
+  const relative = (flags & RELATIVE_FLAG) !== 0;
+  const raw = value.maskn(VALUE_BITS);
+  if (metric === SinceMetric.EPOCH) {
+    const epoch = {
+      number: raw.maskn(24).toNumber(),
+      index: raw.shrn(24).maskn(16).toNumber(),
+      length: raw.shrn(40).maskn(16).toNumber(),
+    };
+    assertEpoch(epoch);
+    return { relative, metric, epoch };
+  }
+  return { relative, metric, value: quantity(raw) };
+}
+
+/**
+ * Whether since is well formed, as checked by decodeSince.
+ */
+export function isValidSince(since: string, littleEndian: boolean = false): boolean {
+  try {
+    decodeSince(since, littleEndian);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const plural = (count: string, unit: string): string =>
+  `${count} ${unit}${count === "1" ? "" : "s"}`;
+
+const epochText = ({ number, index, length }: Epoch): string =>
+  index === 0 ? String(number) : `${number} ${index}/${length}`;
+
+/**
+ * Render a since in human terms, for instance "from epoch 280 10/1000" or
+ * "6 epochs after the cell was committed".
+ */
+export function describeSince(since: string, littleEndian: boolean = false): string {
+  const { relative, metric, value, epoch } = decodeSince(since, littleEndian);
+  if (!relative && metric === SinceMetric.BLOCK_NUMBER && toBN(value || "0x0").isZero()) {
+    return "no lock";
+  }
+  let amount;
+  if (metric === SinceMetric.EPOCH && epoch) {
+    if (!relative) {
+      return `from epoch ${epochText(epoch)}`;
+    }
+    amount = `${epochText(epoch)} epoch${epochText(epoch) === "1" ? "" : "s"}`;
+  } else {
+    const count = toBN(value || "0x0");
+    if (!relative) {
+      if (metric === SinceMetric.BLOCK_NUMBER) {
+        return `from block ${count.toString(10)}`;
+      }
+      // Date covers ±8.64e15 ms
+      const date = count.lte(new BN("8640000000000")) ? new Date(count.toNumber() * 1000) : null;
+      return date
+        ? `from median time ${date.toISOString()}`
+        : `from median time ${count.toString(10)} seconds`;
+    }
+    amount = plural(count.toString(10), metric === SinceMetric.BLOCK_NUMBER ? "block" : "second");
+  }
+  return `${amount} after the cell was committed`;
+}
@@ -0,0 +1,142 @@
+// @flow
+
+import * as blockchain from "./annotated";
+import { computeTransactionHash } from "./hash";
+import { toRpcTransaction } from "./rpc";
+
+/**
+ * A zero-filled lock the size of a secp256k1 signature, which the lock
+ * script expects in place of the signature while hashing.
+ */
+export const SIGNATURE_PLACEHOLDER = "00".repeat(65);
+
+/**
+ * Decode a RawTransaction given as serialized hex or JSON into a molecule view.
+ */
+export function toRawTransactionView(rawTx: string | Object): blockchain.RawTransaction {
+  if (typeof rawTx === "object" && rawTx !== null && "view" in rawTx) {
+    return rawTx;
+  }
+  if (typeof rawTx === "string") {
+    return new blockchain.RawTransaction(rawTx);
+  }
+  return new blockchain.RawTransaction(blockchain.SerializeRawTransaction(rawTx));
+}
+
+/**
+ * The serialized lock script of the cell spent by each input, read from the
+ * context transactions aligned with the inputs.
+ */
+export function inputLockScripts(
+  rawTx: string | Object,
+  rawContextsTx: Array<string | Object>
+): Array<Buffer> {
+  const inputs = toRawTransactionView(rawTx).getInputs();
+  if (rawContextsTx.length < inputs.length()) {
+    throw new Error(
+      `Not enough context transactions! Required: ${inputs.length()}, actual: ${rawContextsTx.length}`
+    );
+  }
+  const locks = [];
+  for (let i = 0; i < inputs.length(); i++) {
+    const index = inputs.indexAt(i).getPreviousOutput().getIndex().toLittleEndianUint32();
+    const outputs = toRawTransactionView(rawContextsTx[i]).getOutputs();
+    if (index >= outputs.length()) {
+      throw new Error(`Context transaction for input ${i} has no output ${index}`);
+    }
+    locks.push(Buffer.from(blockchain.SerializeScript(outputs.indexAt(index).getLock())));
+  }
+  return locks;
+}
+
+/**
+ * Indices of the inputs sharing the lock script of the input at inputIndex.
+ */
+export function inputGroup(
+  rawTx: string | Object,
+  rawContextsTx: Array<string | Object>,
+  inputIndex: number = 0
+): Array<number> {
+  const locks = inputLockScripts(rawTx, rawContextsTx);
+  if (inputIndex >= locks.length) {
+    throw new Error(`Transaction has no input ${inputIndex}`);
+  }
+  return locks.reduce(
+    (group, lock, i) => (lock.equals(locks[inputIndex]) ? [...group, i] : group),
+    []
+  );
+}
+
+/**
+ * Replace the lock of a serialized WitnessArgs, keeping its input_type and
+ * output_type. An empty witness is treated as an empty WitnessArgs.
+ */
+export function withWitnessLock(witness: string, lock: string): string {
+  const hex = witness.replace(/^0x/, "");
+  let inputType = null;
+  let outputType = null;
+  if (hex !== "") {
+    const args = new blockchain.WitnessArgs(hex);
+    inputType = args.getInputType();
+    outputType = args.getOutputType();
+  }
+  return Buffer.from(
+    blockchain.SerializeWitnessArgs({
+      lock: lock,
+      input_type: inputType,
+      output_type: outputType,
+    })
+  ).toString("hex");
+}
+
+/**
+ * The witnesses a sighash-all lock hashes for a script group: the group's
+ * witnesses, the first one with its lock replaced by SIGNATURE_PLACEHOLDER,
+ * followed by every witness past the last input.
+ */
+export function sighashGroupWitnesses(
+  witnesses: Array<string>,
+  group: Array<number>,
+  inputCount: number,
+  placeholder: string = SIGNATURE_PLACEHOLDER
+): Array<string> {
+  return [
+    ...group.map((index, i) =>
+      i === 0 ? withWitnessLock(witnesses[index] || "", placeholder) : witnesses[index] || ""
+    ),
+    ...witnesses.slice(inputCount),
+  ];
+}
+
+/**
+ * Put signatures into the witness locks of a transaction and serialize it.
+ *
+ * @param rawTx the unsigned transaction, as serialized hex or JSON
+ * @param witnesses the transaction's witnesses
+ * @param signatures signatures keyed by the index of the witness to sign
+ * @return the transaction hash, the serialized Transaction as hex and the
+ * transaction as CKB JSON-RPC JSON
+ */
+export function assembleTransaction(
+  rawTx: string | Object,
+  witnesses: Array<string>,
+  signatures: { [index: number]: string }
+): { hash: string, hex: string, json: Object } {
+  const raw = toRawTransactionView(rawTx);
+  const signedWitnesses = witnesses.slice();
+  Object.keys(signatures).forEach((key) => {
+    const index = Number(key);
+    while (signedWitnesses.length <= index) {
+      signedWitnesses.push("");
+    }
+    signedWitnesses[index] = withWitnessLock(signedWitnesses[index], signatures[index]);
+  });
+  const tx = { raw, witnesses: signedWitnesses };
+  return {
+    hash: computeTransactionHash(
+      Buffer.from(blockchain.SerializeRawTransaction(raw)).toString("hex")
+    ),
+    hex: Buffer.from(blockchain.SerializeTransaction(tx)).toString("hex"),
+    json: toRpcTransaction(tx),
+  };
+}
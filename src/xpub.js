@@ -0,0 +1,177 @@
+// @flow
+
+import hash from "hash.js";
+import { compressPublicKey } from "./secp256k1";
+
+/**
+ * Version bytes of BIP 32 extended public keys.
+ */
+export const ExtendedKeyVersion = {
+  XPUB: 0x0488b21e,
+  TPUB: 0x043587cf,
+};
+
+export type ExtendedKeyInfo = {
+  public_key: string,
+  chain_code: string,
+  depth: number,
+  parentFingerprint: number,
+  childIndex: number,
+  version: number,
+};
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+const SERIALIZED_LENGTH = 78;
+
+const sha256 = (data: Buffer | Array<number>): Buffer =>
+  Buffer.from(hash.sha256().update(data).digest());
+
+const checksum = (data: Buffer): Buffer => sha256(sha256(data)).slice(0, 4);
+
+/**
+ * RIPEMD160 of SHA256, as used for BIP 32 key identifiers.
+ */
+export function hash160(data: Buffer): Buffer {
+  return Buffer.from(hash.ripemd160().update(sha256(data)).digest());
+}
+
+/**
+ * The BIP 32 fingerprint of a public key: the first 4 bytes of the hash160
+ * of its compressed form, as a big-endian number.
+ */
+export function fingerprint(publicKey: string): number {
+  return hash160(Buffer.from(compressPublicKey(publicKey), "hex")).readUInt32BE(0);
+}
+
+/**
+ * Encode bytes as Base58 followed by a 4-byte double SHA256 checksum.
+ */
+export function base58CheckEncode(payload: Buffer): string {
+  const bytes = Buffer.concat([payload, checksum(payload)]);
+  const digits = [0];
+  bytes.forEach((byte) => {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  });
+  let leadingZeros = "";
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    leadingZeros += BASE58_ALPHABET[0];
+  }
+  const encoded = digits
+    .reverse()
+    .map((digit) => BASE58_ALPHABET[digit])
+    .join("")
+    .replace(/^1+/, "");
+  return leadingZeros + encoded;
+}
+
+/**
+ * Decode a Base58Check string, verifying its checksum.
+ */
+export function base58CheckDecode(encoded: string): Buffer {
+  const bytes = [0];
+  for (const char of encoded) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) {
+      throw new Error("Not a valid Base58 character: " + char);
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  let leadingZeros = 0;
+  while (leadingZeros < encoded.length && encoded[leadingZeros] === BASE58_ALPHABET[0]) {
+    leadingZeros++;
+  }
+  const trimmed = bytes.reverse();
+  while (trimmed.length > 0 && trimmed[0] === 0) {
+    trimmed.shift();
+  }
+  const decoded = Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(trimmed)]);
+  if (decoded.length < 4) {
+    throw new Error("Base58Check string too short");
+  }
+  const payload = decoded.slice(0, -4);
+  if (!checksum(payload).equals(decoded.slice(-4))) {
+    throw new Error("Invalid Base58Check checksum");
+  }
+  return payload;
+}
+
+/**
+ * Serialize an extended public key in the standard BIP 32 format.
+ *
+ * @param key the key's public_key (compressed or not) and chain_code, its
+ * depth, parent fingerprint and child index, and optionally the version bytes
+ * (ExtendedKeyVersion.XPUB by default)
+ * @return the Base58Check encoded key, such as "xpub6..."
+ */
+export function serializeExtendedPublicKey({
+  public_key,
+  chain_code,
+  depth,
+  parentFingerprint,
+  childIndex,
+  version = ExtendedKeyVersion.XPUB,
+}: {
+  public_key: string,
+  chain_code: string,
+  depth: number,
+  parentFingerprint: number,
+  childIndex: number,
+  version?: number,
+}): string {
+  const chainCode = Buffer.from(chain_code.replace(/^0x/, ""), "hex");
+  if (chainCode.length !== 32) {
+    throw new Error(`Invalid chain code length! Required: 32, actual: ${chainCode.length}`);
+  }
+  const data = Buffer.alloc(SERIALIZED_LENGTH);
+  data.writeUInt32BE(version, 0);
+  data.writeUInt8(depth, 4);
+  data.writeUInt32BE(parentFingerprint, 5);
+  data.writeUInt32BE(childIndex, 9);
+  chainCode.copy(data, 13);
+  Buffer.from(compressPublicKey(public_key), "hex").copy(data, 45);
+  return base58CheckEncode(data);
+}
+
+/**
+ * Parse a standard BIP 32 extended public key.
+ *
+ * @return the key fields, with a compressed public_key
+ */
+export function parseExtendedPublicKey(xpub: string): ExtendedKeyInfo {
+  const data = base58CheckDecode(xpub);
+  if (data.length !== SERIALIZED_LENGTH) {
+    throw new Error(
+      `Invalid extended key length! Required: ${SERIALIZED_LENGTH}, actual: ${data.length}`
+    );
+  }
+  const publicKey = data.slice(45).toString("hex");
+  if (data[45] !== 0x02 && data[45] !== 0x03) {
+    throw new Error("Not an extended public key");
+  }
+  return {
+    public_key: compressPublicKey(publicKey),
+    chain_code: data.slice(13, 45).toString("hex"),
+    depth: data[4],
+    parentFingerprint: data.readUInt32BE(5),
+    childIndex: data.readUInt32BE(9),
+    version: data.readUInt32BE(0),
+  };
+}
@@ -7,7 +7,53 @@ import {
   createTransportReplayer,
   RecordStore
 } from "@ledgerhq/hw-transport-mocker";
-import Ckb from "../src/Ckb";
+import Ckb, {
+  UserRejectedError,
+  AppNotOpenError,
+  DeviceLockedError,
+  OutOfMemoryError,
+  AppUpgradeRequiredError,
+  CkbLedgerError,
+  Features,
+  SignatureMismatchError,
+  lockArgPaths,
+  MemoryTransactionResolver,
+  computeTransactionHash,
+  TESTNET,
+  AddressFormat,
+  addressToScript,
+  scriptToAddress,
+  parseExtendedPublicKey,
+  multisigConfig,
+  multisigLockScript,
+  multisigPlaceholder,
+  acpLockScript,
+  omnilockLockScript,
+  omnilockWitnessLock,
+  withWitnessLock,
+  secp256k1LockHash,
+  chequeLockScript,
+  CHEQUE_WITHDRAW_SINCE,
+  publicKeyToLockArg,
+  DaoOperation,
+} from "../src/Ckb";
+import * as blockchain from "../src/annotated";
+import {
+  contextTransaction,
+  rawTransaction,
+  recordSignatures,
+  secpLock,
+  sighashWitness,
+  spending,
+} from "./fixtures";
+
+// getAppConfiguration of an app at v0.5.1, fetched before the first gated call
+const appVersion = `
+    => 8000000000
+    <= 0005019000
+    => 8009000000
+    <= 0001009000
+`;
 
 test("ckb.getPublicKey", async () => {
   const Transport = createTransportReplayer(
@@ -264,7 +310,7 @@ test("ckb.signTransaction", async () => {
 
 test("ckb.signMessage", async () => {
   const Transport = createTransportReplayer(
-    RecordStore.fromString(`
+    RecordStore.fromString(`${appVersion}
     => 800600001600058000002c80000135800000000000000100000000
     <= 00009000
     => 800681001a4e6572766f73204d6573736167653a48656c6c6f20776f726c64
@@ -280,3 +326,915 @@ test("ckb.signMessage", async () => {
 
   expect(result).toEqual("be13155a7f6815c715f7dcdc797038e1d5e03621a716ce9aafa2265408ab36833b262855b79e28c99a43ed8dc046577e3cd7445e0f5a8c2a8ebcb7092c53141d029000");
 });
+
+
+test("ckb.signMessage rejected on device", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`${appVersion}
+    => 800600001600058000002c80000135800000000000000100000000
+    <= 00009000
+    => 800681001a4e6572766f73204d6573736167653a48656c6c6f20776f726c64
+    <= 6985
+    `)
+  );
+
+  const transport = await Transport.open();
+
+  const ckb = new Ckb(transport);
+
+  const error = await ckb
+    .signMessage("m/44'/309'/0'/1/0", "48656c6c6f20776f726c64", false)
+    .catch(e => e);
+
+  expect(error).toBeInstanceOf(UserRejectedError);
+  expect(error).toBeInstanceOf(CkbLedgerError);
+  expect(error.code).toEqual("USER_REJECTED");
+  expect(error.ins).toEqual(0x06);
+  expect(error.statusCode).toEqual(0x6985);
+});
+
+test("ckb overlapping calls run one after the other", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+    => 8000000000
+    <= 0005019000
+    => 8009000000
+    <= 0001009000
+    => 8001000000
+    <= 69c46b6dd072a2693378ef4f5f35dcd82f826dc1fdcc891255db5870f54b06e69000
+    `)
+  );
+
+  const transport = await Transport.open();
+
+  const ckb = new Ckb(transport);
+
+  const [configuration, walletId] = await Promise.all([
+    ckb.getAppConfiguration(),
+    ckb.getWalletId(),
+  ]);
+
+  expect(configuration.version).toEqual("0.5.1");
+  expect(walletId).toEqual("69c46b6dd072a2693378ef4f5f35dcd82f826dc1fdcc891255db5870f54b06e6");
+});
+
+test("ckb.getWalletId with app closed", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+    => 8001000000
+    <= 6e00
+    `)
+  );
+
+  const transport = await Transport.open();
+
+  const ckb = new Ckb(transport);
+
+  const error = await ckb.getWalletId().catch(e => e);
+
+  expect(error).toBeInstanceOf(AppNotOpenError);
+  expect(error.code).toEqual("APP_NOT_OPEN");
+  expect(error.ins).toEqual(0x01);
+});
+
+test("ckb.getWalletId on a locked device", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+    => 8001000000
+    <= 6982
+    `)
+  );
+
+  const transport = await Transport.open();
+
+  const ckb = new Ckb(transport);
+
+  const error = await ckb.getWalletId().catch(e => e);
+
+  expect(error).toBeInstanceOf(DeviceLockedError);
+  expect(error).not.toBeInstanceOf(UserRejectedError);
+  expect(error.code).toEqual("DEVICE_LOCKED");
+  expect(error.statusCode).toEqual(0x6982);
+});
+
+test("ckb.sendSigningChunks out of device memory", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+    => 8003800001ff
+    <= 9200
+    `)
+  );
+
+  const transport = await Transport.open();
+
+  const ckb = new Ckb(transport);
+
+  const error = await ckb.sendSigningChunks(0x03, [Buffer.from("ff", "hex")]).catch(e => e);
+
+  expect(error).toBeInstanceOf(OutOfMemoryError);
+  expect(error.code).toEqual("OUT_OF_MEMORY");
+  expect(error.ins).toEqual(0x03);
+});
+
+test("ckb.getWalletId with unknown status", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+    => 8001000000
+    <= 6f42
+    `)
+  );
+
+  const transport = await Transport.open();
+
+  const ckb = new Ckb(transport);
+
+  const error = await ckb.getWalletId().catch(e => e);
+
+  expect(error).toBeInstanceOf(CkbLedgerError);
+  expect(error.code).toEqual("UNKNOWN_STATUS");
+  expect(error.statusCode).toEqual(0x6f42);
+});
+
+test("ckb.signMessage reports progress", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`${appVersion}
+    => 800600001600058000002c80000135800000000000000100000000
+    <= 00009000
+    => 800681001a4e6572766f73204d6573736167653a48656c6c6f20776f726c64
+    <= be13155a7f6815c715f7dcdc797038e1d5e03621a716ce9aafa2265408ab36833b262855b79e28c99a43ed8dc046577e3cd7445e0f5a8c2a8ebcb7092c53141d029000
+    `)
+  );
+
+  const transport = await Transport.open();
+
+  const ckb = new Ckb(transport);
+
+  const phases = [];
+  await ckb.signMessage("m/44'/309'/0'/1/0", "48656c6c6f20776f726c64", false, {
+    onProgress: ({ phase }) => phases.push(phase),
+  });
+
+  expect(phases).toEqual(["sending", "awaiting-confirmation", "complete"]);
+});
+
+test("ckb.signMessage refused by an old app", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+    => 8000000000
+    <= 0004029000
+    => 8009000000
+    <= 0001009000
+    `)
+  );
+
+  const transport = await Transport.open();
+
+  const ckb = new Ckb(transport);
+
+  const capabilities = await ckb.getAppCapabilities();
+  expect(capabilities[Features.SIGN_MESSAGE]).toBe(false);
+
+  const error = await ckb
+    .signMessage("m/44'/309'/0'/1/0", "48656c6c6f20776f726c64", false)
+    .catch(e => e);
+
+  expect(error).toBeInstanceOf(AppUpgradeRequiredError);
+  expect(error.code).toEqual("APP_UPGRADE_REQUIRED");
+});
+
+test("ckb.signMessage reads the app version before sending anything", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+    => 8000000000
+    <= 0004029000
+    => 8009000000
+    <= 0001009000
+    `)
+  );
+
+  const transport = await Transport.open();
+
+  const ckb = new Ckb(transport);
+
+  const error = await ckb
+    .signMessage("m/44'/309'/0'/1/0", "48656c6c6f20776f726c64", false)
+    .catch(e => e);
+
+  expect(error).toBeInstanceOf(AppUpgradeRequiredError);
+  expect(ckb.appConfiguration && ckb.appConfiguration.version).toEqual("0.4.2");
+});
+
+// Signatures below are recorded from keys 0x1111… at 44'/309'/0'/0/0 and
+// 0x2222… at 44'/309'/0'/1/0, whose lock args these are
+const keyLockArgs = {
+  receiving: "f949a9cc83edefcd580eb3f0f3bae187c4d008db",
+  change: "a1d89d8870b116ec25fb33a8c1f762ae6dcc5238",
+};
+
+const openReplay = async records =>
+  new Ckb(await createTransportReplayer(RecordStore.fromString(records)).open());
+
+test("ckb.signMessage checks the signature against lockArg", async () => {
+  const signature =
+    "31f10efe6071e28a19352ba120e83c0149b030e93a93aa71360cb2e6e68fe6260153f8a5a41bc74d9bfc18c1280b15cc8438bb349fa821f99b9ff8ee17696dc001";
+  const records = `${appVersion}
+    => 800600001600058000002c80000135800000000000000100000000
+    <= 9000
+    => 800681001a4e6572766f73204d6573736167653a48656c6c6f20776f726c64
+    <= ${signature}9000
+    `;
+  const sign = async lockArg =>
+    (await openReplay(records)).signMessage("m/44'/309'/0'/1/0", "48656c6c6f20776f726c64", false, {
+      lockArg,
+    });
+
+  expect(await sign(keyLockArgs.change)).toEqual(signature);
+
+  const error = await sign(keyLockArgs.receiving).catch(e => e);
+  expect(error).toBeInstanceOf(SignatureMismatchError);
+  expect(error.code).toEqual("SIGNATURE_MISMATCH");
+  expect(error.recoveredLockArg).toEqual(keyLockArgs.change);
+});
+
+test("ckb.signAnnotatedTransaction checks the signature against lockArg", async () => {
+  const signature =
+    "f664ad10db5780f71b93492a1d7107ce7a08c6ca1e792a4555eb3ebd33c1d902531dce829ba0f11dab7e0805c9ed4727a652746fb98605c0340a24c4ca9f52b500";
+  const records = `
+    => 80030000e62b0200001800000030000000480000004c000000ca010000050000002c00008035010080000000800000000000000000050000002c00008035010080000000800100000000000000010000007e0100001c0000002000000024000000280000000901000072010000000000000000000000000000e100000008000000d90000000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d500000000a10000001c0000002000000024000000280000002c0000009500000000000000000000000000000000000000690000000800
+    <= 9000
+    => 80030100e600006100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db0c000000080000000000000069000000080000006100000010000000180000006100000000e0764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000a1d89d8870b116ec25fb33a8c1f762ae6dcc52380c00000008000000000000006100
+    <= 9000
+    => 800381005f0000080000005500000055000000100000005500000055000000410000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000
+    <= ${signature}9000
+    `;
+  const context = contextTransaction([secpLock(keyLockArgs.receiving)]);
+  const rawTx = rawTransaction(
+    [spending("0x0")],
+    [{ capacity: "0x174876e000", lock: secpLock(keyLockArgs.change), type: null }]
+  );
+  const sign = async lockArg => {
+    const ckb = await openReplay(records);
+    const tx = ckb.buildAnnotatedTransaction("44'/309'/0'/0/0", rawTx, null, [context], "44'/309'/0'/1/0");
+    return ckb.signAnnotatedTransaction(tx, { lockArg });
+  };
+
+  expect(await sign(keyLockArgs.receiving)).toEqual(signature);
+
+  const error = await sign(keyLockArgs.change).catch(e => e);
+  expect(error).toBeInstanceOf(SignatureMismatchError);
+  expect(error.recoveredLockArg).toEqual(keyLockArgs.receiving);
+});
+
+test("ckb.signAndAssembleTransaction", async () => {
+  const Transport = createTransportReplayer(RecordStore.fromString(""));
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport);
+
+  const signature = "22".repeat(65);
+  let signed = null;
+  ckb.signAnnotatedTransaction = async tx => {
+    signed = tx;
+    return signature;
+  };
+
+  const lock = {
+    code_hash: "9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8",
+    hash_type: "type",
+    args: "e5260d839a786ac2a909181df9a423f1efbe863d",
+  };
+  const context = {
+    version: "0x0",
+    cell_deps: [],
+    header_deps: [],
+    inputs: [],
+    outputs: [{ capacity: "0x174876e800", lock, type_: null }],
+    outputs_data: [""],
+  };
+  const rawTx = {
+    version: "0x0",
+    cell_deps: [],
+    header_deps: [],
+    inputs: [
+      {
+        since: "0x0",
+        previous_output: {
+          tx_hash: "b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5",
+          index: "0x0",
+        },
+      },
+    ],
+    outputs: [{ capacity: "0x174876e000", lock, type_: null }],
+    outputs_data: [""],
+  };
+
+  const result = await ckb.signAndAssembleTransaction(
+    "44'/309'/0'/0/0",
+    rawTx,
+    [""],
+    [context],
+    "44'/309'/0'/1/0"
+  );
+
+  expect(signed.witnesses).toEqual([ckb.defaultSighashWitness]);
+  expect(result.signature).toEqual(signature);
+  expect(result.json.witnesses[0]).toEqual(
+    "0x550000001000000055000000550000004100000022" + "22".repeat(64)
+  );
+});
+
+test("ckb.signScriptGroups signs each group of ours", async () => {
+  const Transport = createTransportReplayer(RecordStore.fromString(""));
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport);
+  const calls = recordSignatures(ckb);
+
+  const receiving = "0xe5260d839a786ac2a909181df9a423f1efbe863d";
+  const change = "0x36c329ed630d6ce750712a477543672adab57f4c";
+  const context = contextTransaction([
+    secpLock(receiving),
+    secpLock(change),
+    secpLock("0x" + "00".repeat(20)),
+  ]);
+  const rawTx = rawTransaction(
+    [spending("0x2"), spending("0x1"), spending("0x0"), spending("0x1")],
+    [{ capacity: "0x174876e000", lock: secpLock(receiving), type: null }]
+  );
+
+  const result = await ckb.signScriptGroups(
+    rawTx,
+    ["", "", "", "abcd"],
+    [context, context, context, context],
+    [
+      { lockArg: receiving, path: "44'/309'/0'/0/0" },
+      { lockArg: change, path: "44'/309'/0'/1/0" },
+    ],
+    "44'/309'/0'/1/0"
+  );
+
+  expect(calls.length).toEqual(2);
+  expect(calls[0].tx.signPath).toEqual([0x8000002c, 0x80000135, 0x80000000, 1, 0]);
+  expect(calls[0].tx.witnesses).toEqual([ckb.defaultSighashWitness, "abcd"]);
+  expect(calls[0].options.lockArg).toEqual(change.slice(2));
+  expect(calls[1].tx.signPath).toEqual([0x8000002c, 0x80000135, 0x80000000, 0, 0]);
+  expect(calls[1].tx.witnesses).toEqual([ckb.defaultSighashWitness]);
+  expect(result.signatures.map(({ inputs }) => inputs)).toEqual([[1, 3], [2]]);
+  expect(result.json.witnesses).toEqual([
+    "0x",
+    sighashWitness("1".repeat(130)),
+    sighashWitness("2".repeat(130)),
+    "0xabcd",
+  ]);
+});
+
+test("ckb.signScriptGroups signs over the device end to end", async () => {
+  // Recorded from keys 0x1111… at 44'/309'/0'/0/0 and 0x2222… at 44'/309'/0'/1/0
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+      => 80030000e6340500001800000030000000480000004c000000cb040000050000002c00008035010080000000800100000000000000050000002c00008035010080000000800100000000000000030000007f0400001c0000002000000024000000280000000a04000073040000000000000000000000000000e203000010000000560100009c020000460100000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5000000000e0100001c0000002000000024000000280000002c000000fa0000000000000000000000000000000000
+      <= 9000
+      => 80030100e60000ce0000000c0000006d0000006100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000a1d89d8870b116ec25fb33a8c1f762ae6dcc52386100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db140000000c0000001000000000000000000000004601
+      <= 9000
+      => 80030100e600000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5010000000e0100001c0000002000000024000000280000002c000000fa00000000000000000000000000000000000000ce0000000c0000006d0000006100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000a1d89d8870b116ec25fb33a8c1f762ae6dcc52386100000010000000180000006100000000e87648170000
+      <= 9000
+      => 80030100e600490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db140000000c000000100000000000000000000000460100000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5000000000e0100001c0000002000000024000000280000002c000000fa00000000000000000000000000000000000000ce0000000c0000006d0000006100000010000000180000006100000000e8764817000000
+      <= 9000
+      => 80030100e6490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000a1d89d8870b116ec25fb33a8c1f762ae6dcc52386100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db140000000c00000010000000000000000000000069000000080000006100000010000000180000006100000000d0ed902e0000004900000010000000
+      <= 9000
+      => 80038100b630000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db0c0000000800000000000000690000000c00000065000000550000005500000010000000550000005500000041000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000
+      <= 5532b44f70480a09e3981825febc34dbebdeec9500c8cbd9cf90e264e059652116e93f0402a980cac108151be51a840e83e5f04ff7fa6992ad52404c2cfd1c1a019000
+      => 80030000e62c0500001800000030000000480000004c000000cb040000050000002c00008035010080000000800000000000000000050000002c00008035010080000000800100000000000000030000007f0400001c0000002000000024000000280000000a04000073040000000000000000000000000000e203000010000000560100009c020000460100000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5000000000e0100001c0000002000000024000000280000002c000000fa0000000000000000000000000000000000
+      <= 9000
+      => 80030100e60000ce0000000c0000006d0000006100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000a1d89d8870b116ec25fb33a8c1f762ae6dcc52386100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db140000000c0000001000000000000000000000004601
+      <= 9000
+      => 80030100e600000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5010000000e0100001c0000002000000024000000280000002c000000fa00000000000000000000000000000000000000ce0000000c0000006d0000006100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000a1d89d8870b116ec25fb33a8c1f762ae6dcc52386100000010000000180000006100000000e87648170000
+      <= 9000
+      => 80030100e600490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db140000000c000000100000000000000000000000460100000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5000000000e0100001c0000002000000024000000280000002c000000fa00000000000000000000000000000000000000ce0000000c0000006d0000006100000010000000180000006100000000e8764817000000
+      <= 9000
+      => 80030100e6490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000a1d89d8870b116ec25fb33a8c1f762ae6dcc52386100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db140000000c00000010000000000000000000000069000000080000006100000010000000180000006100000000d0ed902e0000004900000010000000
+      <= 9000
+      => 80038100ae30000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db0c000000080000000000000061000000080000005500000055000000100000005500000055000000410000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000
+      <= c3d7f018228009e26fabbdd5b328c98e4e0a672b5a1a664a12374e52b25fe41f399449f6972235af1892e380da711ce9352cfa6e0ab12820be854ff0240f1522009000
+    `)
+  );
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport);
+
+  const receiving = "0xf949a9cc83edefcd580eb3f0f3bae187c4d008db";
+  const change = "0xa1d89d8870b116ec25fb33a8c1f762ae6dcc5238";
+  const context = contextTransaction([secpLock(change), secpLock(receiving)]);
+  const rawTx = rawTransaction(
+    [spending("0x0"), spending("0x1"), spending("0x0")],
+    [{ capacity: "0x2e90edd000", lock: secpLock(receiving), type: null }]
+  );
+
+  const result = await ckb.signScriptGroups(
+    rawTx,
+    ["", "", ""],
+    [context, context, context],
+    [
+      { lockArg: receiving, path: "44'/309'/0'/0/0" },
+      { lockArg: change, path: "44'/309'/0'/1/0" },
+    ],
+    "44'/309'/0'/1/0"
+  );
+
+  const changeSignature =
+    "5532b44f70480a09e3981825febc34dbebdeec9500c8cbd9cf90e264e059652116e93f0402a980cac108151be51a840e83e5f04ff7fa6992ad52404c2cfd1c1a01";
+  const receivingSignature =
+    "c3d7f018228009e26fabbdd5b328c98e4e0a672b5a1a664a12374e52b25fe41f399449f6972235af1892e380da711ce9352cfa6e0ab12820be854ff0240f152200";
+  expect(result.signatures).toEqual([
+    { lockArg: change.slice(2), path: "44'/309'/0'/1/0", inputs: [0, 2], signature: changeSignature },
+    { lockArg: receiving.slice(2), path: "44'/309'/0'/0/0", inputs: [1], signature: receivingSignature },
+  ]);
+  expect(result.json.witnesses).toEqual([
+    sighashWitness(changeSignature),
+    sighashWitness(receivingSignature),
+    "0x",
+  ]);
+});
+
+test("ckb.signTransactionWithPaths derives paths from the account key", async () => {
+  const Transport = createTransportReplayer(RecordStore.fromString(""));
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport);
+  const calls = recordSignatures(ckb);
+
+  const extendedPublicKey = {
+    public_key: "035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc56",
+    chain_code: "47fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae6236141",
+  };
+  const lockArgs = Object.keys(lockArgPaths("44'/309'/0'", extendedPublicKey, 3));
+  // receiving 0/2 and change 1/0
+  const context = contextTransaction([
+    secpLock("0x" + lockArgs[2]),
+    secpLock("0x" + lockArgs[3]),
+  ]);
+  const rawTx = rawTransaction(
+    [spending("0x0"), spending("0x1")],
+    [{ capacity: "0x174876e000", lock: secpLock("0x" + lockArgs[0]), type: null }]
+  );
+
+  const result = await ckb.signTransactionWithPaths(
+    rawTx,
+    ["", ""],
+    [context, context],
+    { accountPath: "44'/309'/0'", extendedPublicKey, gapLimit: 3 },
+    "44'/309'/0'/1/0"
+  );
+  expect(result.signatures.map(({ path }) => path)).toEqual([
+    "44'/309'/0'/0/2",
+    "44'/309'/0'/1/0",
+  ]);
+  expect(calls[1].tx.signPath).toEqual([0x8000002c, 0x80000135, 0x80000000, 1, 0]);
+
+  const byMap = await ckb.signTransactionWithPaths(
+    rawTx,
+    ["", ""],
+    [context, context],
+    { [lockArgs[3]]: "44'/309'/0'/1/0" },
+    "44'/309'/0'/1/0"
+  );
+  expect(byMap.signatures.map(({ inputs }) => inputs)).toEqual([[1]]);
+});
+
+test("ckb.signAndAssembleTransaction fetches contexts with the resolver", async () => {
+  const Transport = createTransportReplayer(RecordStore.fromString(""));
+  const transport = await Transport.open();
+  const context = contextTransaction([secpLock("0xe5260d839a786ac2a909181df9a423f1efbe863d")]);
+  const ckb = new Ckb(transport, "CKB", {
+    resolver: new MemoryTransactionResolver([context]),
+  });
+  const calls = recordSignatures(ckb);
+
+  const rawTx = rawTransaction([
+    {
+      since: "0x0",
+      previous_output: { tx_hash: "0x" + computeTransactionHash(context), index: "0x0" },
+    },
+  ]);
+
+  await ckb.signAndAssembleTransaction("44'/309'/0'/0/0", rawTx, [""], null, "44'/309'/0'/1/0");
+  expect(calls[0].tx.raw.inputs[0].source).toEqual(context);
+
+  await expect(
+    new Ckb(transport).signAndAssembleTransaction("44'/309'/0'/0/0", rawTx, [""], null, "44'/309'/0'/1/0")
+  ).rejects.toThrow(/no resolver/);
+});
+
+test("ckb.getWalletPublicKey formats the address for the configured network", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+      => 8002000015058000002c80000135800000000000000100000000
+      <= 4104d066dbe5603004dc4c83e27106b098f5e9b9b17b6bdec965810cd0921193b1c87206518153a0b44c7ae6b0be92a60d515d454e71ab27943bbb323273b8bdd46a9000
+      => 8002000015058000002c80000135800000000000000100000000
+      <= 4104d066dbe5603004dc4c83e27106b098f5e9b9b17b6bdec965810cd0921193b1c87206518153a0b44c7ae6b0be92a60d515d454e71ab27943bbb323273b8bdd46a9000
+    `)
+  );
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport, "CKB", { network: TESTNET });
+  const { address, lockArg } = await ckb.getWalletPublicKey("m/44'/309'/0'/1/0");
+  expect(address.startsWith("ckt1")).toBe(true);
+  expect(addressToScript(address, { network: TESTNET }).args).toEqual("0x" + lockArg);
+  const mainnet = await ckb.getWalletPublicKey("m/44'/309'/0'/1/0", false);
+  expect(mainnet.address.startsWith("ckb1")).toBe(true);
+});
+
+test("ckb address helpers use the constructor's network over the presets", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+      => 8002000015058000002c80000135800000000000000100000000
+      <= 4104d066dbe5603004dc4c83e27106b098f5e9b9b17b6bdec965810cd0921193b1c87206518153a0b44c7ae6b0be92a60d515d454e71ab27943bbb323273b8bdd46a9000
+    `)
+  );
+  const transport = await Transport.open();
+  const devnet = {
+    ...TESTNET,
+    name: "devnet",
+    scripts: {
+      ...TESTNET.scripts,
+      SECP256K1_BLAKE160: { ...TESTNET.scripts.SECP256K1_BLAKE160, code_hash: "0x" + "ab".repeat(32) },
+    },
+  };
+  const ckb = new Ckb(transport, "CKB", { network: devnet });
+
+  const { address, lockArg } = await ckb.getWalletPublicKey("m/44'/309'/0'/1/0", true);
+  const lock = secpLock(lockArg, devnet);
+  expect(addressToScript(address, { network: devnet })).toEqual(lock);
+  const short = scriptToAddress(lock, { network: devnet, format: AddressFormat.SHORT });
+  expect(ckb.parseAddress(short).script).toEqual(lock);
+  const mainnet = scriptToAddress(secpLock(lockArg), { format: AddressFormat.SHORT });
+  expect(ckb.parseAddress(mainnet).script).toEqual(secpLock(lockArg));
+});
+
+test("ckb.getWatchOnlyAccount derives addresses offline", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`${appVersion}
+      => 800400000d038000002c8000013580000000
+      <= 21035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc562047fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae62361419000
+    `)
+  );
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport, "CKB", { network: TESTNET });
+  const account = await ckb.getWatchOnlyAccount("44'/309'/0'");
+  const addresses = account.addresses(1, 0, 25);
+  expect(addresses[24].path).toEqual("44'/309'/0'/1/24");
+  expect(addresses[24].address.startsWith("ckt1")).toBe(true);
+});
+
+test("ckb.discoverAccounts walks accounts on the device", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`${appVersion}
+      => 800400000d038000002c8000013580000000
+      <= 21035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc562047fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae62361419000
+      => 800400000d038000002c8000013580000001
+      <= 2103501e454bf00751f24b1b489aa925215d66af2234e3891c3b21a52bedb3cd711c202a7857631386ba23dacac34180dd1983734e444fdbf774041578e9b6adb37c199000
+    `)
+  );
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport);
+  const accounts = await ckb.discoverAccounts(
+    (lockArg, { path }) => path === "44'/309'/0'/0/3",
+    { gapLimit: 5 }
+  );
+  expect(accounts.length).toEqual(1);
+  expect(accounts[0].receiving.used.map(({ path }) => path)).toEqual(["44'/309'/0'/0/3"]);
+  expect(accounts[0].receiving.nextIndex).toEqual(4);
+});
+
+test("ckb.getWalletExtendedPublicKey serializes a standard xpub", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`${appVersion}
+      => 800400000d038000002c8000013580000000
+      <= 21035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc562047fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae62361419000
+      => 8002000009028000002c80000135
+      <= 210339a36013301597daef41fbe593a02cc513d0b55527ec2df1050e2e8ff49c85c29000
+      => 800200000100
+      <= 210339a36013301597daef41fbe593a02cc513d0b55527ec2df1050e2e8ff49c85c29000
+    `)
+  );
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport);
+  const result = await ckb.getWalletExtendedPublicKey("44'/309'/0'", { standard: true });
+  expect(result.depth).toEqual(3);
+  expect(result.childIndex).toEqual(0x80000000);
+  expect(result.parentFingerprint).toEqual(0x3442193e);
+  expect(parseExtendedPublicKey(result.xpub)).toEqual({
+    public_key: result.publicKey,
+    chain_code: result.chain_code,
+    depth: 3,
+    parentFingerprint: 0x3442193e,
+    childIndex: 0x80000000,
+    version: 0x0488b21e,
+  });
+  expect(await ckb.getMasterFingerprint()).toEqual(0x3442193e);
+});
+
+test("ckb.getWalletPublicKey shows the address on the device", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+      => 8002010015058000002c80000135800000000000000000000000
+      <= 4104d066dbe5603004dc4c83e27106b098f5e9b9b17b6bdec965810cd0921193b1c87206518153a0b44c7ae6b0be92a60d515d454e71ab27943bbb323273b8bdd46a9000
+    `)
+  );
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport);
+  const result = await ckb.getWalletPublicKey("44'/309'/0'/0/0", null, { showOnDevice: true });
+  expect(result.publicKey).toEqual(
+    "04d066dbe5603004dc4c83e27106b098f5e9b9b17b6bdec965810cd0921193b1c87206518153a0b44c7ae6b0be92a60d515d454e71ab27943bbb323273b8bdd46a"
+  );
+  expect(result.address.startsWith("ckb1")).toBe(true);
+});
+
+test("ckb.getWalletPublicKey rejected on the device", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+      => 8002010015058000002c80000135800000000000000000000000
+      <= 6985
+    `)
+  );
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport);
+  let error = null;
+  try {
+    await ckb.getWalletPublicKey("44'/309'/0'/0/0", true, { showOnDevice: true });
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(UserRejectedError);
+  expect(error.ins).toEqual(0x02);
+});
+
+test("ckb.signMultisigTransaction signs with the multisig placeholder", async () => {
+  const Transport = createTransportReplayer(RecordStore.fromString(appVersion));
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport);
+  const calls = recordSignatures(ckb);
+
+  const config = multisigConfig(
+    [
+      "035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc56",
+      "03501e454bf00751f24b1b489aa925215d66af2234e3891c3b21a52bedb3cd711c",
+    ],
+    { threshold: 2 }
+  );
+  const context = contextTransaction([multisigLockScript(config)]);
+  const rawTx = rawTransaction([spending("0x0")]);
+
+  const result = await ckb.signMultisigTransaction(
+    "44'/309'/0'/0/0",
+    rawTx,
+    [""],
+    [context],
+    config,
+    "44'/309'/0'/1/0"
+  );
+  expect(result.inputs).toEqual([0]);
+  expect(result.signature).toEqual("1".repeat(130));
+  expect(calls[0].tx.witnesses[0]).toContain(multisigPlaceholder(config));
+});
+
+test("ckb.getWalletAcpAddress derives the ACP lock of the path's key", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+      => 8002000015058000002c80000135800000000000000100000000
+      <= 4104d066dbe5603004dc4c83e27106b098f5e9b9b17b6bdec965810cd0921193b1c87206518153a0b44c7ae6b0be92a60d515d454e71ab27943bbb323273b8bdd46a9000
+    `)
+  );
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport, "CKB", { network: TESTNET });
+  const result = await ckb.getWalletAcpAddress("44'/309'/0'/1/0", {
+    minimumCkb: 9,
+    minimumUdt: 0,
+  });
+  expect(result.args).toEqual(result.lockArg + "0900");
+  expect(addressToScript(result.address)).toEqual({
+    code_hash: TESTNET.scripts.ANYONE_CAN_PAY.code_hash,
+    hash_type: "type",
+    args: "0x" + result.args,
+  });
+});
+
+test("ckb.signScriptGroups signs the ACP groups of a lock arg", async () => {
+  // The ACP and the secp256k1 group hash the same message, so both get the
+  // same signature
+  const signature =
+    "a2e27f501f003166102e9ca94bd4e03511de5feb68c062b5857e287f8ccc41f0611e2611bc4bb0311b28ec06c526518a8a587fe6fafb60c2e8c9ba784955a40c01";
+  const ckb = await openReplay(`
+      => 80030000e6770300001800000030000000480000004c00000016030000050000002c00008035010080000000800000000000000000050000002c0000803501008000000080010000000000000002000000ca0200001c000000200000002400000028000000c2020000c60200000000000000000000000000009a0200000c00000053010000470100000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5010000000f0100001c0000002000000024000000280000002c000000fb00000000000000000000000000000000000000cf00
+      <= 9000
+      => 80030100e600000c0000006e0000006200000010000000180000006200000000e87648170000004a000000100000003000000031000000d369597ff47f29fbc0d47d2e3775370d1250b85140c670e4718af712983a23540115000000f949a9cc83edefcd580eb3f0f3bae187c4d008db086100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db140000000c000000100000000000000000000000470100000c
+      <= 9000
+      => 80030100e6000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5000000000f0100001c0000002000000024000000280000002c000000fb00000000000000000000000000000000000000cf0000000c0000006e0000006200000010000000180000006200000000e87648170000004a000000100000003000000031000000d369597ff47f29fbc0d47d2e3775370d1250b85140c670e4718af712983a23540115000000f949a9cc83edefcd580eb3f0f3bae187c4d008db086100000010000000180000006100000000e876481700000049
+      <= 9000
+      => 80038100c50000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db140000000c000000100000000000000000000000040000000400000061000000080000005500000055000000100000005500000055000000410000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000
+      <= ${signature}9000
+      => 80030000e6770300001800000030000000480000004c00000016030000050000002c00008035010080000000800000000000000000050000002c0000803501008000000080010000000000000002000000ca0200001c000000200000002400000028000000c2020000c60200000000000000000000000000009a0200000c00000053010000470100000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5010000000f0100001c0000002000000024000000280000002c000000fb00000000000000000000000000000000000000cf00
+      <= 9000
+      => 80030100e600000c0000006e0000006200000010000000180000006200000000e87648170000004a000000100000003000000031000000d369597ff47f29fbc0d47d2e3775370d1250b85140c670e4718af712983a23540115000000f949a9cc83edefcd580eb3f0f3bae187c4d008db086100000010000000180000006100000000e8764817000000490000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db140000000c000000100000000000000000000000470100000c
+      <= 9000
+      => 80030100e6000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5000000000f0100001c0000002000000024000000280000002c000000fb00000000000000000000000000000000000000cf0000000c0000006e0000006200000010000000180000006200000000e87648170000004a000000100000003000000031000000d369597ff47f29fbc0d47d2e3775370d1250b85140c670e4718af712983a23540115000000f949a9cc83edefcd580eb3f0f3bae187c4d008db086100000010000000180000006100000000e876481700000049
+      <= 9000
+      => 80038100c50000001000000030000000310000009bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce80114000000f949a9cc83edefcd580eb3f0f3bae187c4d008db140000000c000000100000000000000000000000040000000400000061000000080000005500000055000000100000005500000055000000410000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000
+      <= ${signature}9000
+    `);
+
+  const lockArg = keyLockArgs.receiving;
+  const context = contextTransaction([
+    acpLockScript(lockArg, { minimumCkb: 8 }),
+    secpLock("0x" + lockArg),
+  ]);
+  const rawTx = rawTransaction([spending("0x1"), spending("0x0")]);
+
+  const result = await ckb.signScriptGroups(
+    rawTx,
+    ["", ""],
+    [context, context],
+    [{ lockArg, path: "44'/309'/0'/0/0" }],
+    "44'/309'/0'/1/0"
+  );
+
+  expect(result.signatures).toEqual([
+    { lockArg, path: "44'/309'/0'/0/0", inputs: [0], signature },
+    { lockArg, path: "44'/309'/0'/0/0", inputs: [1], signature },
+  ]);
+  expect(result.json.witnesses).toEqual([sighashWitness(signature), sighashWitness(signature)]);
+});
+
+test("ckb.getWalletOmnilockAddress derives the Omnilock of the path's key", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+      => 8002000015058000002c80000135800000000000000100000000
+      <= 4104d066dbe5603004dc4c83e27106b098f5e9b9b17b6bdec965810cd0921193b1c87206518153a0b44c7ae6b0be92a60d515d454e71ab27943bbb323273b8bdd46a9000
+    `)
+  );
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport);
+  const result = await ckb.getWalletOmnilockAddress("44'/309'/0'/1/0", { network: TESTNET });
+  expect(result.args).toEqual("00" + result.lockArg + "00");
+  expect(addressToScript(result.address)).toEqual(omnilockLockScript(result.lockArg, TESTNET));
+});
+
+test("ckb.signScriptGroups puts Omnilock signatures in an OmniLockWitnessLock", async () => {
+  // The group witness sent last is a WitnessArgs whose lock is 85 zero bytes
+  const signature =
+    "3476f02b829f54ab41dd822fa8fee67ae24b869b596753db1ab144c0b0cc7d923ce37918d2b79a93d1726d4cd01854e7e834a53ffb0fac126db5dffd6c00e30e00";
+  const ckb = await openReplay(`
+      => 80030000e6d40100001800000030000000480000004c0000005f010000050000002c00008035010080000000800000000000000000050000002c0000803501008000000080010000000000000001000000130100001c0000002000000024000000280000000b0100000f010000000000000000000000000000e300000008000000db0000000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d500000000a30000001c0000002000000024000000280000002c00000097000000000000000000000000000000000000006b0000000800
+      <= 9000
+      => 80030100e600006300000010000000180000006300000000e87648170000004b0000001000000030000000310000009b819793a64463aed77c615d6cb226eea5487ccfc0783043a587254cda2b6f26011600000000f949a9cc83edefcd580eb3f0f3bae187c4d008db000c0000000800000000000000040000000400000075000000080000006900000069000000100000006900000069000000550000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000
+      <= 9000
+      => 80038100080000000000000000
+      <= ${signature}9000
+    `);
+
+  const lockArg = keyLockArgs.receiving;
+  const context = contextTransaction([omnilockLockScript(lockArg)]);
+  const rawTx = rawTransaction([spending("0x0")]);
+
+  const result = await ckb.signScriptGroups(
+    rawTx,
+    [""],
+    [context],
+    [{ lockArg, path: "44'/309'/0'/0/0" }],
+    "44'/309'/0'/1/0"
+  );
+
+  expect(result.signatures).toEqual([
+    { lockArg, path: "44'/309'/0'/0/0", inputs: [0], signature },
+  ]);
+  expect(result.json.witnesses).toEqual([
+    "0x" + withWitnessLock("", omnilockWitnessLock(signature)),
+  ]);
+});
+
+test("ckb.signScriptGroups claims and withdraws cheques", async () => {
+  const signature =
+    "499b1b21cb69e6675e31e51845f1aae85356cce39b4fd14e77f60d744e3d9f1d770a15dcd18a24edf939b7732e35b1b9f4805f191e24853c5dc3d438132f7c8801";
+  const ckb = await openReplay(`
+      => 8002000015058000002c80000135800000000000000100000000
+      <= 4104466d7fcae563e5cb09a0d1870bb580344804617879a14949cf22285f1bae3f276728176c3c6431f8eeda4538dc37c865e2784f3a9e77d044f33e407797e1278a9000
+      => 80030000e6c50300001800000030000000480000004c00000064030000050000002c00008035010080000000800100000000000000050000002c0000803501008000000080010000000000000002000000180300001c0000002000000024000000280000001003000014030000000000000000000000000000e80200000c0000007a0100006e0100000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d500000000360100001c0000002000000024000000280000002c0000002201000000000000000000000000000000000000f600
+      <= 9000
+      => 80030100e600000c0000008100000075000000100000001800000075000000006298c5030000005d000000100000003000000031000000e4d4ecc6e5f9a059bf2f7a82cca292083aebc0c421566a52484fe2ec51a9fb0c0128000000677f6202c21a3a5b6c586d382f56c1ce24cd5b64d1c4ac0f0a950d6b98296093fddbfcbd0f9406e675000000100000001800000075000000006298c5030000005d000000100000003000000031000000e4d4ecc6e5f9a059bf2f7a82cca292083aebc0c421566a52484fe2ec51a9fb0c0128000000d1c4ac0f0a950d6b98296093fddbfcbd0f9406e6677f6202c21a
+      <= 9000
+      => 80030100e63a5b6c586d382f56c1ce24cd5b64140000000c0000001000000000000000000000006e0100000c0000003800000006000000000000a0b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d501000000360100001c0000002000000024000000280000002c0000002201000000000000000000000000000000000000f60000000c0000008100000075000000100000001800000075000000006298c5030000005d000000100000003000000031000000e4d4ecc6e5f9a059bf2f7a82cca292083aebc0c421566a52484fe2ec51a9fb0c0128000000677f6202c21a3a
+      <= 9000
+      => 80030100e65b6c586d382f56c1ce24cd5b64d1c4ac0f0a950d6b98296093fddbfcbd0f9406e675000000100000001800000075000000006298c5030000005d000000100000003000000031000000e4d4ecc6e5f9a059bf2f7a82cca292083aebc0c421566a52484fe2ec51a9fb0c0128000000d1c4ac0f0a950d6b98296093fddbfcbd0f9406e6677f6202c21a3a5b6c586d382f56c1ce24cd5b64140000000c000000100000000000000000000000040000000400000061000000080000005500000055000000100000005500000055000000410000000000000000000000000000000000000000000000
+      <= 9000
+      => 800381002d000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000
+      <= ${signature}9000
+      => 80030000e6c50300001800000030000000480000004c00000064030000050000002c00008035010080000000800100000000000000050000002c0000803501008000000080010000000000000002000000180300001c0000002000000024000000280000001003000014030000000000000000000000000000e80200000c0000007a0100006e0100000c000000380000000000000000000000b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d500000000360100001c0000002000000024000000280000002c0000002201000000000000000000000000000000000000f600
+      <= 9000
+      => 80030100e600000c0000008100000075000000100000001800000075000000006298c5030000005d000000100000003000000031000000e4d4ecc6e5f9a059bf2f7a82cca292083aebc0c421566a52484fe2ec51a9fb0c0128000000677f6202c21a3a5b6c586d382f56c1ce24cd5b64d1c4ac0f0a950d6b98296093fddbfcbd0f9406e675000000100000001800000075000000006298c5030000005d000000100000003000000031000000e4d4ecc6e5f9a059bf2f7a82cca292083aebc0c421566a52484fe2ec51a9fb0c0128000000d1c4ac0f0a950d6b98296093fddbfcbd0f9406e6677f6202c21a
+      <= 9000
+      => 80030100e63a5b6c586d382f56c1ce24cd5b64140000000c0000001000000000000000000000006e0100000c0000003800000006000000000000a0b1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d501000000360100001c0000002000000024000000280000002c0000002201000000000000000000000000000000000000f60000000c0000008100000075000000100000001800000075000000006298c5030000005d000000100000003000000031000000e4d4ecc6e5f9a059bf2f7a82cca292083aebc0c421566a52484fe2ec51a9fb0c0128000000677f6202c21a3a
+      <= 9000
+      => 80030100e65b6c586d382f56c1ce24cd5b64d1c4ac0f0a950d6b98296093fddbfcbd0f9406e675000000100000001800000075000000006298c5030000005d000000100000003000000031000000e4d4ecc6e5f9a059bf2f7a82cca292083aebc0c421566a52484fe2ec51a9fb0c0128000000d1c4ac0f0a950d6b98296093fddbfcbd0f9406e6677f6202c21a3a5b6c586d382f56c1ce24cd5b64140000000c000000100000000000000000000000040000000400000061000000080000005500000055000000100000005500000055000000410000000000000000000000000000000000000000000000
+      <= 9000
+      => 800381002d000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000
+      <= ${signature}9000
+    `);
+  const { lockArg, lockHash } = await ckb.getWalletPublicKey("44'/309'/0'/1/0");
+  const other = secp256k1LockHash("e5260d839a786ac2a909181df9a423f1efbe863d");
+
+  const context = contextTransaction(
+    [
+      chequeLockScript({ receiverLockHash: lockHash, senderLockHash: other }),
+      chequeLockScript({ receiverLockHash: other, senderLockHash: lockHash }),
+    ],
+    "0x3c5986200"
+  );
+  const rawTx = rawTransaction([spending("0x0"), spending("0x1", CHEQUE_WITHDRAW_SINCE)]);
+
+  const result = await ckb.signScriptGroups(
+    rawTx,
+    ["", ""],
+    [context, context],
+    [{ lockArg, path: "44'/309'/0'/1/0" }],
+    "44'/309'/0'/1/0"
+  );
+
+  expect(lockArg).toEqual(keyLockArgs.change);
+  expect(lockHash).toEqual(secp256k1LockHash(lockArg));
+  expect(result.signatures).toEqual([
+    { lockArg, path: "44'/309'/0'/1/0", inputs: [0], signature },
+    { lockArg, path: "44'/309'/0'/1/0", inputs: [1], signature },
+  ]);
+  expect(result.json.witnesses).toEqual([sighashWitness(signature), sighashWitness(signature)]);
+});
+
+test("ckb.buildDaoDepositTransaction builds a signable AnnotatedTransaction", async () => {
+  const Transport = createTransportReplayer(RecordStore.fromString(""));
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport, "CKB", { network: TESTNET });
+
+  const lock = secpLock("0x36c329ed630d6ce750712a477543672adab57f4c", TESTNET);
+  const source = contextTransaction([lock]);
+  const tx = ckb.buildDaoDepositTransaction(
+    "44'/309'/0'/0/0",
+    {
+      inputs: [
+        {
+          ...spending("0x0"),
+          source,
+        },
+      ],
+      capacity: "0x174876e800",
+      lock,
+      changeLock: lock,
+      fee: "0x0",
+    },
+    "44'/309'/0'/1/0"
+  );
+
+  expect(tx.signPath).toEqual([0x8000002c, 0x80000135, 0x80000000, 0, 0]);
+  expect(tx.raw.inputs[0].source).toEqual(source);
+  expect(tx.raw.cell_deps[1]).toEqual(TESTNET.scripts.DAO.cell_dep);
+  expect(tx.raw.outputs[0].type.code_hash).toEqual(TESTNET.scripts.DAO.code_hash);
+  expect(tx.witnesses).toEqual([ckb.defaultSighashWitness]);
+  expect(() => blockchain.SerializeAnnotatedTransaction(tx)).not.toThrow();
+});
+
+test("ckb.describeAnnotatedTransaction marks outputs to the change path's lock arg", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+      => 8002000015058000002c80000135800000000000000100000000
+      <= 4104d066dbe5603004dc4c83e27106b098f5e9b9b17b6bdec965810cd0921193b1c87206518153a0b44c7ae6b0be92a60d515d454e71ab27943bbb323273b8bdd46a9000
+    `)
+  );
+  const transport = await Transport.open();
+  const ckb = new Ckb(transport, "CKB", { network: TESTNET });
+
+  const changeLockArg = publicKeyToLockArg(
+    "04d066dbe5603004dc4c83e27106b098f5e9b9b17b6bdec965810cd0921193b1c87206518153a0b44c7ae6b0be92a60d515d454e71ab27943bbb323273b8bdd46a"
+  );
+  const lock = secpLock("36c329ed630d6ce750712a477543672adab57f4c", TESTNET);
+  const changeLock = secpLock(changeLockArg, TESTNET);
+  const source = contextTransaction([lock]);
+  const tx = ckb.buildDaoDepositTransaction(
+    "44'/309'/0'/0/0",
+    {
+      inputs: [
+        {
+          ...spending("0x0"),
+          source,
+        },
+      ],
+      capacity: "0xba43b7400",
+      lock,
+      changeLock,
+      fee: "0x3e8",
+    },
+    "44'/309'/0'/1/0"
+  );
+
+  const preview = await ckb.describeAnnotatedTransaction(tx);
+  expect(preview.changePath).toEqual("m/44'/309'/0'/1/0");
+  expect(preview.outputs.map(({ change, dao }) => ({ change, dao }))).toEqual([
+    { change: false, dao: DaoOperation.DEPOSIT },
+    { change: true, dao: null },
+  ]);
+  expect(preview.outputs[1].address.startsWith("ckt1")).toBe(true);
+  expect(preview.fee).toEqual("0x3e8");
+  expect(preview.daoOperations).toEqual([DaoOperation.DEPOSIT]);
+});
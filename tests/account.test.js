@@ -0,0 +1,38 @@
+import { WatchOnlyAccount } from "../src/account";
+import { derivePublicKeyPath } from "../src/bip32";
+import { publicKeyToLockArg } from "../src/secp256k1";
+import { addressToScript } from "../src/address";
+import { TESTNET } from "../src/network";
+
+// BIP 32 test vector 1, chain m/0H
+const extendedPublicKey = {
+  public_key: "035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc56",
+  chain_code: "47fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae6236141",
+};
+
+test("WatchOnlyAccount derives receiving and change addresses", () => {
+  const account = new WatchOnlyAccount(extendedPublicKey, { accountPath: "m/44'/309'/0'" });
+  const publicKey = derivePublicKeyPath(extendedPublicKey, [1, 2]).public_key;
+  const change = account.changeAddress(2);
+  expect(change).toEqual({
+    path: "44'/309'/0'/1/2",
+    chain: 1,
+    index: 2,
+    publicKey,
+    lockArg: publicKeyToLockArg(publicKey),
+    address: change.address,
+  });
+  expect(addressToScript(change.address).args).toEqual("0x" + change.lockArg);
+  expect(account.receivingAddress(2).lockArg).not.toEqual(change.lockArg);
+});
+
+test("WatchOnlyAccount lists consecutive addresses for its network", () => {
+  const account = new WatchOnlyAccount(extendedPublicKey, { network: TESTNET });
+  const addresses = account.addresses(0, 5, 3);
+  expect(addresses.map(({ path }) => path)).toEqual([
+    "44'/309'/0'/0/5",
+    "44'/309'/0'/0/6",
+    "44'/309'/0'/0/7",
+  ]);
+  expect(addresses.every(({ address }) => address.startsWith("ckt1"))).toBe(true);
+});
@@ -0,0 +1,49 @@
+import {
+  acpArgs,
+  parseAcpArgs,
+  acpLockScript,
+  acpAddress,
+  findAcpGroupsForLockArgs,
+} from "../src/acp";
+import { addressToScript } from "../src/address";
+import { MAINNET, TESTNET, systemScript } from "../src/network";
+
+const lockArg = "36c329ed630d6ce750712a477543672adab57f4c";
+
+test("acpArgs appends the minimums", () => {
+  expect(acpArgs("0x" + lockArg)).toEqual(lockArg);
+  expect(acpArgs(lockArg, { minimumCkb: 8 })).toEqual(lockArg + "08");
+  expect(acpArgs(lockArg, { minimumCkb: 8, minimumUdt: 2 })).toEqual(lockArg + "0802");
+  expect(() => acpArgs(lockArg, { minimumUdt: 2 })).toThrow(/needs a minimum CKB/);
+  expect(() => acpArgs(lockArg, { minimumCkb: 256 })).toThrow(/Invalid minimum CKB/);
+  expect(() => acpArgs("abcd")).toThrow(/Not a valid lock arg/);
+});
+
+test("parseAcpArgs reverses acpArgs", () => {
+  expect(parseAcpArgs("0x" + lockArg)).toEqual({ lockArg, minimumCkb: null, minimumUdt: null });
+  expect(parseAcpArgs(lockArg + "0802")).toEqual({ lockArg, minimumCkb: 8, minimumUdt: 2 });
+  expect(() => parseAcpArgs(lockArg + "080200")).toThrow(/Invalid anyone-can-pay args length/);
+});
+
+test("acpAddress uses the network's ANYONE_CAN_PAY lock", () => {
+  const address = acpAddress(lockArg, { minimumCkb: 8 }, TESTNET);
+  expect(address.startsWith("ckt1")).toBe(true);
+  expect(addressToScript(address)).toEqual(acpLockScript(lockArg, { minimumCkb: 8 }, TESTNET));
+  expect(acpLockScript(lockArg).code_hash).toEqual(MAINNET.scripts.ANYONE_CAN_PAY.code_hash);
+});
+
+test("findAcpGroupsForLockArgs matches the args' lock arg", () => {
+  const group = (script, inputs) => ({ script, inputs });
+  const groups = [
+    group(systemScript(MAINNET.scripts.SECP256K1_BLAKE160, lockArg), [0]),
+    group(acpLockScript(lockArg, { minimumCkb: 8 }), [1, 3]),
+    group(acpLockScript("00".repeat(20)), [2]),
+    group(acpLockScript(lockArg, {}, TESTNET), [4]),
+  ];
+  expect(findAcpGroupsForLockArgs(groups, ["0x" + lockArg.toUpperCase()])).toEqual([
+    { ...groups[1], lockArg },
+  ]);
+  expect(findAcpGroupsForLockArgs(groups, [lockArg], TESTNET)).toEqual([
+    { ...groups[3], lockArg },
+  ]);
+});
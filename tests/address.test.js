@@ -0,0 +1,79 @@
+import {
+  AddressPrefix,
+  AddressFormat,
+  scriptToAddress,
+  parseAddress,
+  addressToScript,
+} from "../src/address";
+
+const secp = {
+  code_hash: "0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8",
+  hash_type: "type",
+  args: "0xb39bbc0b3673c7d36450bc14cfcdad2d559c6c64",
+};
+
+const full =
+  "ckb1qzda0cr08m85hc8jlnfp3zer7xulejywt49kt2rr0vthywaa50xwsqdnnw7qkdnnclfkg59uzn8umtfd2kwxceqxwquc4";
+const short = "ckb1qyqt8xaupvm8837nv3gtc9x0ekkj64vud3jqfwyw5v";
+const fullType =
+  "ckb1qjda0cr08m85hc8jlnfp3zer7xulejywt49kt2rr0vthywaa50xw3vumhs9nvu786dj9p0q5elx66t24n3kxgj53qks";
+
+test("scriptToAddress encodes every format", () => {
+  expect(scriptToAddress(secp)).toEqual(full);
+  expect(scriptToAddress(secp, { format: AddressFormat.SHORT })).toEqual(short);
+  expect(scriptToAddress(secp, { format: AddressFormat.FULL_TYPE })).toEqual(fullType);
+});
+
+test("parseAddress decodes every format", () => {
+  expect(parseAddress(full)).toEqual({ prefix: "ckb", format: AddressFormat.FULL, script: secp });
+  expect(parseAddress(short)).toEqual({ prefix: "ckb", format: AddressFormat.SHORT, script: secp });
+  expect(parseAddress(fullType)).toEqual({
+    prefix: "ckb",
+    format: AddressFormat.FULL_TYPE,
+    script: secp,
+  });
+});
+
+test("addresses round trip", () => {
+  const data = {
+    code_hash: "0xa656f172b6b45c245307aeb5a7a37a176f002f6f22e92582c58bf7ba362e4176",
+    hash_type: "data",
+    args: "0x36c329ed630d6ce750712a477543672adab57f4c",
+  };
+  const data2 = { ...data, hash_type: "data2", args: "0x" };
+  const testnetAcp = {
+    code_hash: "0x3419a1c09eb2567f6552ee7a8ecffd64155cffe0f1796e6e61ec088d740c1356",
+    hash_type: "type",
+    args: data.args,
+  };
+  const options = { prefix: AddressPrefix.TESTNET };
+  expect(addressToScript(scriptToAddress(data, { format: AddressFormat.FULL_DATA }))).toEqual(data);
+  expect(addressToScript(scriptToAddress(data2))).toEqual(data2);
+  expect(
+    addressToScript(scriptToAddress(testnetAcp, { ...options, format: AddressFormat.SHORT }), options)
+  ).toEqual(testnetAcp);
+});
+
+test("parseAddress validates checksums and prefixes", () => {
+  expect(() => parseAddress(full.slice(0, -1) + "q")).toThrow(/Not a valid address/);
+  expect(() => parseAddress(full, { prefix: AddressPrefix.TESTNET })).toThrow(/Wrong address prefix/);
+  expect(() => parseAddress(scriptToAddress(secp).replace(/^ckb/, "xyz"))).toThrow();
+});
+
+test("scriptToAddress refuses scripts a format cannot hold", () => {
+  expect(() => scriptToAddress({ ...secp, args: "0x00" }, { format: AddressFormat.SHORT })).toThrow(
+    /no short address/
+  );
+  expect(() => scriptToAddress(secp, { format: AddressFormat.FULL_DATA })).toThrow(/does not fit/);
+  expect(() => scriptToAddress(secp, { prefix: "btc", format: AddressFormat.SHORT })).toThrow(
+    /Unknown address prefix/
+  );
+});
+
+test("full addresses take a custom prefix as given", () => {
+  const address = scriptToAddress(secp, { prefix: "ckd" });
+  expect(address.startsWith("ckd1")).toBe(true);
+  expect(address.slice(4, -6)).toEqual(full.slice(4, -6));
+  expect(parseAddress(address)).toEqual({ prefix: "ckd", format: AddressFormat.FULL, script: secp });
+  expect(() => parseAddress(address, { prefix: "ckb" })).toThrow(/Wrong address prefix/);
+});
@@ -0,0 +1,38 @@
+import {
+  Chains,
+  deriveChildPublicKey,
+  derivePublicKeyPath,
+  lockArgPaths,
+} from "../src/bip32";
+import { publicKeyToLockArg } from "../src/secp256k1";
+
+// BIP 32 test vector 1, chain m/0H
+const account = {
+  public_key: "035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc56",
+  chain_code: "47fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae6236141",
+};
+
+test("deriveChildPublicKey follows BIP 32", () => {
+  expect(deriveChildPublicKey(account, 1)).toEqual({
+    public_key: "03501e454bf00751f24b1b489aa925215d66af2234e3891c3b21a52bedb3cd711c",
+    chain_code: "2a7857631386ba23dacac34180dd1983734e444fdbf774041578e9b6adb37c19",
+  });
+});
+
+test("derivePublicKeyPath derives each index in turn", () => {
+  expect(derivePublicKeyPath(account, [1, 2])).toEqual(
+    deriveChildPublicKey(deriveChildPublicKey(account, 1), 2)
+  );
+  expect(derivePublicKeyPath(account, [])).toEqual(account);
+});
+
+test("deriveChildPublicKey refuses hardened indices", () => {
+  expect(() => deriveChildPublicKey(account, 0x80000000)).toThrow(/hardened/);
+});
+
+test("lockArgPaths covers receiving and change addresses", () => {
+  const paths = lockArgPaths("44'/309'/0'", account, 2);
+  expect(Object.keys(paths).length).toEqual(4);
+  const change = derivePublicKeyPath(account, [Chains.CHANGE, 1]).public_key;
+  expect(paths[publicKeyToLockArg(change)]).toEqual("44'/309'/0'/1/1");
+});
@@ -0,0 +1,46 @@
+import {
+  Features,
+  parseVersion,
+  compareVersions,
+  getCapabilities,
+  assertFeature,
+} from "../src/capabilities";
+import { AppUpgradeRequiredError } from "../src/errors";
+
+test("parseVersion", () => {
+  expect(parseVersion("0.5.1")).toEqual({ major: 0, minor: 5, patch: 1 });
+  expect(parseVersion("1.2.3-rc1")).toEqual({ major: 1, minor: 2, patch: 3 });
+  expect(() => parseVersion("garbage")).toThrow();
+});
+
+test("compareVersions", () => {
+  expect(compareVersions("0.5.0", "0.5.0")).toEqual(0);
+  expect(compareVersions("0.4.9", "0.5.0")).toBeLessThan(0);
+  expect(compareVersions("0.10.0", "0.9.3")).toBeGreaterThan(0);
+});
+
+test("getCapabilities", () => {
+  // The releases ChangeLog.md records hw-app-ckb v0.1.x as tested with
+  ["0.5.0", "0.5.1"].forEach(version => {
+    const capabilities = getCapabilities(version);
+    expect(capabilities[Features.EXTENDED_PUBLIC_KEY]).toBe(true);
+    expect(capabilities[Features.SIGN_MESSAGE]).toBe(true);
+    expect(capabilities[Features.MESSAGE_HEX_DISPLAY]).toBe(true);
+  });
+  expect(Object.values(getCapabilities("0.4.2"))).not.toContain(true);
+});
+
+test("assertFeature", () => {
+  expect(() => assertFeature("0.5.1", Features.SIGN_MESSAGE)).not.toThrow();
+  const error = (() => {
+    try {
+      assertFeature("0.4.2", Features.SIGN_MESSAGE, 0x06);
+    } catch (e) {
+      return e;
+    }
+  })();
+  expect(error).toBeInstanceOf(AppUpgradeRequiredError);
+  expect(error.code).toEqual("APP_UPGRADE_REQUIRED");
+  expect(error.requiredVersion).toEqual("0.5.0");
+  expect(error.ins).toEqual(0x06);
+});
@@ -0,0 +1,70 @@
+import {
+  ChequeAction,
+  secp256k1LockHash,
+  chequeArgs,
+  parseChequeArgs,
+  chequeLockScript,
+  chequeAddress,
+  findChequeGroupsForLockArgs,
+} from "../src/cheque";
+import { computeScriptHash } from "../src/hash";
+import { addressToScript } from "../src/address";
+import { MAINNET, TESTNET, systemScript } from "../src/network";
+
+const receiver = "36c329ed630d6ce750712a477543672adab57f4c";
+const sender = "e5260d839a786ac2a909181df9a423f1efbe863d";
+const lockHashes = {
+  receiverLockHash: secp256k1LockHash(receiver),
+  senderLockHash: secp256k1LockHash(sender),
+};
+
+test("secp256k1LockHash hashes the default lock of a lock arg", () => {
+  expect(secp256k1LockHash("0x" + receiver, TESTNET)).toEqual(
+    computeScriptHash(systemScript(TESTNET.scripts.SECP256K1_BLAKE160, receiver))
+  );
+});
+
+test("chequeArgs keeps 20 bytes of each lock hash", () => {
+  const args = chequeArgs(lockHashes);
+  expect(args).toEqual(
+    lockHashes.receiverLockHash.slice(0, 40) + lockHashes.senderLockHash.slice(0, 40)
+  );
+  expect(chequeArgs(parseChequeArgs("0x" + args))).toEqual(args);
+  expect(() => chequeArgs({ ...lockHashes, senderLockHash: "abcd" })).toThrow(
+    /Not a valid sender lock hash/
+  );
+  expect(() => parseChequeArgs(args + "00")).toThrow(/Invalid cheque args length/);
+});
+
+test("chequeAddress uses the network's cheque lock", () => {
+  const address = chequeAddress(lockHashes, TESTNET);
+  expect(address.startsWith("ckt1")).toBe(true);
+  expect(addressToScript(address)).toEqual(chequeLockScript(lockHashes, TESTNET));
+  expect(chequeLockScript(lockHashes).code_hash).toEqual(MAINNET.scripts.CHEQUE.code_hash);
+});
+
+test("findChequeGroupsForLockArgs claims as receiver and withdraws as sender", () => {
+  const group = (script, inputs) => ({ script, inputs });
+  const groups = [
+    group(chequeLockScript(lockHashes), [0]),
+    group(
+      chequeLockScript({
+        receiverLockHash: lockHashes.senderLockHash,
+        senderLockHash: lockHashes.receiverLockHash,
+      }),
+      [1]
+    ),
+    group(chequeLockScript(lockHashes, TESTNET), [2]),
+  ];
+  expect(findChequeGroupsForLockArgs(groups, ["0x" + receiver])).toEqual([
+    { ...groups[0], lockArg: receiver, action: ChequeAction.CLAIM },
+    { ...groups[1], lockArg: receiver, action: ChequeAction.WITHDRAW },
+  ]);
+  expect(findChequeGroupsForLockArgs(groups, [sender, receiver])).toEqual([
+    { ...groups[0], lockArg: receiver, action: ChequeAction.CLAIM },
+    { ...groups[1], lockArg: sender, action: ChequeAction.CLAIM },
+  ]);
+  expect(findChequeGroupsForLockArgs(groups, [receiver], TESTNET)).toEqual([
+    { ...groups[2], lockArg: receiver, action: ChequeAction.CLAIM },
+  ]);
+});
@@ -0,0 +1,113 @@
+import { chunkPayload, exchangeChunks, Framing, ProgressPhase } from "../src/chunking";
+import { AbortedError, InvalidResponseError } from "../src/errors";
+
+const recordingSend = (response) => {
+  const sent = [];
+  const send = async (ins, p1, p2, data) => {
+    sent.push({ ins, p1, p2, length: data.length });
+    return response;
+  };
+  return { sent, send };
+};
+
+test("chunkPayload splits exact multiples without a trailing empty chunk", () => {
+  const chunks = chunkPayload(Buffer.alloc(460), 230);
+  expect(chunks.map(c => c.length)).toEqual([230, 230]);
+});
+
+test("chunkPayload keeps a remainder chunk", () => {
+  const chunks = chunkPayload(Buffer.alloc(461), 230);
+  expect(chunks.map(c => c.length)).toEqual([230, 230, 1]);
+});
+
+test("chunkPayload yields one empty chunk for an empty payload", () => {
+  expect(chunkPayload(Buffer.alloc(0)).map(c => c.length)).toEqual([0]);
+});
+
+test("chunkPayload rejects chunk sizes the transport cannot carry", () => {
+  expect(() => chunkPayload(Buffer.alloc(10), 0)).toThrow();
+  expect(() => chunkPayload(Buffer.alloc(10), 256)).toThrow();
+});
+
+test("exchangeChunks frames first, continuation and last chunks", async () => {
+  const { sent, send } = recordingSend(Buffer.from("9000", "hex"));
+  await exchangeChunks(send, 0x03, chunkPayload(Buffer.alloc(500), 200));
+  expect(sent.map(s => s.p1)).toEqual([
+    Framing.FIRST,
+    Framing.CONTINUE,
+    Framing.CONTINUE | Framing.LAST,
+  ]);
+  expect(sent.map(s => s.length)).toEqual([200, 200, 100]);
+});
+
+test("exchangeChunks flags a single chunk as both first and last", async () => {
+  const { sent, send } = recordingSend(Buffer.from("9000", "hex"));
+  await exchangeChunks(send, 0x03, [Buffer.alloc(4)]);
+  expect(sent.map(s => s.p1)).toEqual([Framing.FIRST | Framing.LAST]);
+});
+
+test("exchangeChunks validates the final response length", async () => {
+  const { send } = recordingSend(Buffer.from("00009000", "hex"));
+  const error = await exchangeChunks(send, 0x03, [Buffer.alloc(4)], {
+    responseLength: 65,
+  }).catch(e => e);
+  expect(error).toBeInstanceOf(InvalidResponseError);
+  expect(error.code).toEqual("INVALID_RESPONSE");
+});
+
+test("exchangeChunks reports progress through to confirmation", async () => {
+  const { send } = recordingSend(Buffer.from("9000", "hex"));
+  const progress = [];
+  await exchangeChunks(send, 0x03, chunkPayload(Buffer.alloc(300), 200), {
+    onProgress: p => progress.push(p),
+  });
+  expect(progress).toEqual([
+    { sentBytes: 200, totalBytes: 300, chunk: 1, chunks: 2, phase: ProgressPhase.SENDING },
+    { sentBytes: 200, totalBytes: 300, chunk: 1, chunks: 2, phase: ProgressPhase.AWAITING_CONFIRMATION },
+    { sentBytes: 300, totalBytes: 300, chunk: 2, chunks: 2, phase: ProgressPhase.COMPLETE },
+  ]);
+});
+
+test("exchangeChunks stops streaming once aborted", async () => {
+  const { sent, send } = recordingSend(Buffer.from("9000", "hex"));
+  const signal = { aborted: false };
+  const error = await exchangeChunks(send, 0x03, chunkPayload(Buffer.alloc(600), 200), {
+    signal,
+    onProgress: () => {
+      signal.aborted = true;
+    },
+  }).catch(e => e);
+  expect(error).toBeInstanceOf(AbortedError);
+  expect(error.code).toEqual("ABORTED");
+  expect(sent.length).toEqual(1);
+});
+
+test("exchangeChunks aborted before the first chunk sends nothing", async () => {
+  const { sent, send } = recordingSend(Buffer.from("9000", "hex"));
+  const error = await exchangeChunks(send, 0x03, chunkPayload(Buffer.alloc(600), 200), {
+    signal: { aborted: true },
+  }).catch(e => e);
+  expect(error).toBeInstanceOf(AbortedError);
+  expect(error.sentChunks).toEqual(0);
+  expect(error.message).toMatch(/before it was sent/);
+  expect(sent.length).toEqual(0);
+});
+
+test("exchangeChunks aborted mid-stream reports the chunks the device holds", async () => {
+  const { sent, send } = recordingSend(Buffer.from("9000", "hex"));
+  const signal = { aborted: false };
+  const progress = [];
+  const error = await exchangeChunks(send, 0x03, chunkPayload(Buffer.alloc(600), 200), {
+    signal,
+    onProgress: p => {
+      progress.push(p.phase);
+      signal.aborted = p.chunk === 2;
+    },
+  }).catch(e => e);
+  expect(error).toBeInstanceOf(AbortedError);
+  expect(error.ins).toEqual(0x03);
+  expect(error.sentChunks).toEqual(2);
+  expect(error.message).toMatch(/received 2 of its chunks/);
+  expect(sent.map(s => s.p1)).toEqual([Framing.FIRST, Framing.CONTINUE]);
+  expect(progress).not.toContain(ProgressPhase.AWAITING_CONFIRMATION);
+});
@@ -0,0 +1,227 @@
+import BN from "bn.js";
+import * as blockchain from "../src/annotated";
+import { computeHeaderHash } from "../src/hash";
+import {
+  DAO_DEPOSIT_DATA,
+  occupiedCapacity,
+  daoTypeScript,
+  encodeBlockNumber,
+  parseEpoch,
+  daoEarliestSince,
+  daoEarliestUnlockEpoch,
+  calculateMaximumWithdraw,
+  calculateDaoCompensation,
+  daoDepositTransaction,
+  daoWithdrawTransaction,
+  daoUnlockTransaction,
+  daoUnlockTransactionFromHeaders,
+} from "../src/dao";
+import { MAINNET, TESTNET, systemScript } from "../src/network";
+import { MAINNET_HEADERS } from "./fixtures";
+
+const lock = systemScript(TESTNET.scripts.SECP256K1_BLAKE160, "36c329ed630d6ce750712a477543672adab57f4c");
+const sourceHash = "0xb1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5";
+const source = {
+  version: "0x0",
+  cell_deps: [],
+  header_deps: [],
+  inputs: [],
+  outputs: [
+    { capacity: "0x174876e800", lock, type: null },
+    { capacity: "0xba43b7400", lock, type: daoTypeScript(TESTNET) },
+    { capacity: "0xba43b7400", lock, type: daoTypeScript(TESTNET) },
+  ],
+  outputs_data: ["0x", DAO_DEPOSIT_DATA, encodeBlockNumber("0x1234")],
+};
+const cell = index => ({ previous_output: { tx_hash: sourceHash, index }, source });
+const u64 = value => new BN(value).toArrayLike(Buffer, "le", 8).toString("hex");
+const header = (number, epoch, ar) => ({
+  version: "0x0",
+  compact_target: "0x1a08a97e",
+  timestamp: "0x16e70e6985c",
+  number,
+  epoch,
+  parent_hash: "0x" + "00".repeat(32),
+  transactions_root: "0x" + "00".repeat(32),
+  proposals_hash: "0x" + "00".repeat(32),
+  extra_hash: "0x" + "00".repeat(32),
+  dao: "0x" + u64(0) + u64(ar) + u64(0) + u64(0),
+  nonce: "0x0",
+});
+const placeholderWitness =
+  "55000000100000005500000055000000410000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000";
+
+test("occupiedCapacity counts every byte of the cell", () => {
+  expect(occupiedCapacity({ lock, type: null }, "0x").toString(10)).toEqual("6100000000");
+  expect(occupiedCapacity({ lock, type: daoTypeScript() }, DAO_DEPOSIT_DATA).toString(10)).toEqual(
+    "10200000000"
+  );
+});
+
+test("parseEpoch and daoEarliestSince round up to whole lock periods", () => {
+  expect(parseEpoch("0x3e8000a000064")).toEqual({ number: 100, index: 10, length: 1000 });
+  expect(daoEarliestSince("0x3e8000a000064", "0x3e800140000fa")).toEqual("0x2003e8000a000118");
+  expect(daoEarliestSince("0x3e8000a000064", "0x3e8000a000118")).toEqual("0x2003e8000a000118");
+  expect(daoEarliestSince("0x3e8000a000064", "0x3e8000b000118")).toEqual("0x2003e8000a0001cc");
+});
+
+test("daoDepositTransaction deposits and returns the change", () => {
+  const { rawTx, witnesses, contexts } = daoDepositTransaction({
+    inputs: [cell("0x0")],
+    capacity: "0x4a817c800",
+    lock,
+    changeLock: lock,
+    fee: "0x3e8",
+    network: TESTNET,
+  });
+  expect(rawTx.cell_deps).toEqual([
+    TESTNET.scripts.SECP256K1_BLAKE160.cell_dep,
+    TESTNET.scripts.DAO.cell_dep,
+  ]);
+  expect(rawTx.outputs).toEqual([
+    { capacity: "0x4a817c800", lock, type: daoTypeScript(TESTNET) },
+    { capacity: "0x12a05f1c18", lock, type: null },
+  ]);
+  expect(rawTx.outputs_data).toEqual([DAO_DEPOSIT_DATA, "0x"]);
+  expect(witnesses).toEqual([placeholderWitness]);
+  expect(contexts).toEqual([source]);
+  expect(() => new blockchain.RawTransaction(blockchain.SerializeRawTransaction(rawTx))).not.toThrow();
+});
+
+test("daoDepositTransaction checks the amounts", () => {
+  const options = { inputs: [cell("0x0")], lock, changeLock: lock, fee: "0x0", network: TESTNET };
+  expect(() => daoDepositTransaction({ ...options, capacity: "0x25ff7a5ff" })).toThrow(
+    /Deposit too small/
+  );
+  expect(() => daoDepositTransaction({ ...options, capacity: "0x174876e801" })).toThrow(
+    /Not enough capacity/
+  );
+  expect(() => daoDepositTransaction({ ...options, capacity: "0x172ed5e400" })).toThrow(
+    /Change too small/
+  );
+  expect(daoDepositTransaction({ ...options, capacity: "0x174876e800" }).rawTx.outputs.length).toEqual(1);
+});
+
+test("daoWithdrawTransaction keeps the deposit and records its block number", () => {
+  const blockHash = "0x" + "ab".repeat(32);
+  const { rawTx, witnesses } = daoWithdrawTransaction({
+    deposit: { ...cell("0x1"), blockNumber: "0x1234", blockHash },
+    inputs: [cell("0x0")],
+    changeLock: lock,
+    fee: "0x3e8",
+    network: TESTNET,
+  });
+  expect(rawTx.header_deps).toEqual([blockHash]);
+  expect(rawTx.inputs.map(({ since }) => since)).toEqual(["0x0", "0x0"]);
+  expect(rawTx.outputs[0]).toEqual(source.outputs[1]);
+  expect(rawTx.outputs_data).toEqual(["0x3412000000000000", "0x"]);
+  expect(rawTx.outputs[1].capacity).toEqual("0x174876e418");
+  expect(witnesses).toEqual([placeholderWitness, ""]);
+  expect(() =>
+    daoWithdrawTransaction({
+      deposit: { ...cell("0x0"), blockNumber: "0x1", blockHash },
+      changeLock: lock,
+      fee: "0x0",
+      network: TESTNET,
+    })
+  ).toThrow(/Not a DAO deposit cell/);
+});
+
+test("daoUnlockTransaction sets the header deps, since and deposit header index", () => {
+  const depositBlockHash = "0x" + "ab".repeat(32);
+  const withdrawBlockHash = "0x" + "cd".repeat(32);
+  const { rawTx, witnesses } = daoUnlockTransaction({
+    withdrawing: {
+      ...cell("0x2"),
+      depositBlockHash,
+      depositEpoch: "0x3e8000a000064",
+      withdrawBlockHash,
+      withdrawEpoch: "0x3e800140000fa",
+    },
+    capacity: "0xba43b8000",
+    lock,
+    fee: "0x3e8",
+    network: TESTNET,
+  });
+  expect(rawTx.header_deps).toEqual([depositBlockHash, withdrawBlockHash]);
+  expect(rawTx.inputs[0].since).toEqual("0x2003e8000a000118");
+  expect(rawTx.outputs).toEqual([{ capacity: "0xba43b7c18", lock, type: null }]);
+  expect(new blockchain.WitnessArgs(witnesses[0]).toObject()).toEqual({
+    lock: "00".repeat(65),
+    input_type: "0000000000000000",
+    output_type: null,
+  });
+  expect(() =>
+    daoUnlockTransaction({
+      withdrawing: { ...cell("0x1"), depositBlockHash, depositEpoch: "0x0", withdrawBlockHash, withdrawEpoch: "0x0" },
+      capacity: "0xba43b7400",
+      lock,
+      fee: "0x0",
+      network: MAINNET,
+    })
+  ).toThrow(/Not a DAO withdrawing cell/);
+});
+
+test("calculateMaximumWithdraw grows the free capacity by the accumulated rate", () => {
+  // The withdraw calculation vector of the CKB node's DAO tests
+  const output = {
+    capacity: "0x" + new BN("100000000000000").toString(16),
+    lock: { code_hash: "0x" + "00".repeat(32), hash_type: "data", args: "0x" },
+    type: null,
+  };
+  const data = "0x" + "01".repeat(10);
+  const depositHeader = header("0x64", "0x0", "10000000000123456");
+  const withdrawHeader = header("0xc8", "0x0", "10000000001123456");
+  expect(
+    new BN(calculateMaximumWithdraw({ output, data }, depositHeader, withdrawHeader).slice(2), 16).toString(10)
+  ).toEqual("100000000009999");
+  expect(calculateDaoCompensation({ output, data }, depositHeader, withdrawHeader)).toEqual(
+    "0x" + new BN(9999).toString(16)
+  );
+  expect(calculateDaoCompensation({ output, data }, depositHeader, depositHeader)).toEqual("0x0");
+});
+
+test("calculateMaximumWithdraw and daoEarliestSince agree with lumos on mainnet headers", () => {
+  // Computed by @ckb-lumos/common-scripts 0.23.0 dao.calculateMaximumWithdraw
+  // and dao.calculateDaoEarliestSince for a 1000 CKB deposit
+  const [depositHeader, withdrawHeader] = MAINNET_HEADERS;
+  const output = {
+    capacity: "0x174876e800",
+    lock: systemScript(MAINNET.scripts.SECP256K1_BLAKE160, "36c329ed630d6ce750712a477543672adab57f4c"),
+    type: daoTypeScript(MAINNET),
+  };
+  const data = encodeBlockNumber(depositHeader.number);
+  expect(
+    new BN(calculateMaximumWithdraw({ output, data }, depositHeader, withdrawHeader).slice(2), 16).toString(10)
+  ).toEqual("101049461663");
+  expect(daoEarliestSince(depositHeader.epoch, withdrawHeader.epoch)).toEqual("0x2006cf00120002d0");
+});
+
+test("daoEarliestUnlockEpoch reads the epochs of the headers", () => {
+  expect(
+    daoEarliestUnlockEpoch(
+      header("0x1", "0x3e8000a000064", "10000000000000000"),
+      header("0x2", "0x3e800140000fa", "10000000000000000")
+    )
+  ).toEqual({ number: 280, index: 10, length: 1000 });
+});
+
+test("daoUnlockTransactionFromHeaders takes hashes, since and capacity from the headers", () => {
+  const depositHeader = header("0x1234", "0x3e8000a000064", "10000000000000000");
+  const withdrawHeader = header("0x2345", "0x3e800140000fa", "10010000000000000");
+  const { rawTx } = daoUnlockTransactionFromHeaders({
+    withdrawing: cell("0x2"),
+    depositHeader,
+    withdrawHeader,
+    lock,
+    fee: "0x3e8",
+    network: TESTNET,
+  });
+  expect(rawTx.header_deps).toEqual([
+    "0x" + computeHeaderHash(depositHeader),
+    "0x" + computeHeaderHash(withdrawHeader),
+  ]);
+  expect(rawTx.inputs[0].since).toEqual("0x2003e8000a000118");
+  // 102 CKB occupied, 398 CKB grown by 0.1%, less the fee
+  expect(rawTx.outputs[0].capacity).toEqual("0x" + new BN("50039800000").sub(new BN(1000)).toString(16));
+});
@@ -0,0 +1,82 @@
+import { WatchOnlyAccount } from "../src/account";
+import { deriveChildPublicKey } from "../src/bip32";
+import { scanChain, scanAccount, discoverAccounts } from "../src/discovery";
+
+// BIP 32 test vector 1, chains m/0H and m/0H/1
+const keys = [
+  {
+    public_key: "035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc56",
+    chain_code: "47fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae6236141",
+  },
+  {
+    public_key: "03501e454bf00751f24b1b489aa925215d66af2234e3891c3b21a52bedb3cd711c",
+    chain_code: "2a7857631386ba23dacac34180dd1983734e444fdbf774041578e9b6adb37c19",
+  },
+];
+
+const accountAt = index =>
+  new WatchOnlyAccount(keys[index] || deriveChildPublicKey(keys[1], index), {
+    accountPath: `44'/309'/${index}'`,
+  });
+
+// An indexer stand-in knowing which paths were used
+const usedPaths = paths => {
+  const lockArgs = new Set(
+    paths.map(path => {
+      const [account, chain, index] = path.split("/").map(n => parseInt(n, 10));
+      return accountAt(account).derive(chain, index).lockArg;
+    })
+  );
+  const checked = [];
+  const isUsed = async (lockArg, address) => {
+    checked.push(address.path);
+    return lockArgs.has(lockArg);
+  };
+  return { isUsed, checked };
+};
+
+test("scanChain stops after gapLimit unused addresses", async () => {
+  const { isUsed, checked } = usedPaths(["0/0/1", "0/0/4", "0/0/7"]);
+  const scan = await scanChain(accountAt(0), 0, isUsed, 3);
+  expect(scan.used.map(({ index }) => index)).toEqual([1, 4, 7]);
+  expect(scan.nextIndex).toEqual(8);
+  expect(checked.length).toEqual(11);
+});
+
+test("scanChain of an unused chain checks gapLimit addresses", async () => {
+  const { isUsed, checked } = usedPaths([]);
+  expect(await scanChain(accountAt(0), 1, isUsed, 5)).toEqual({ used: [], nextIndex: 0 });
+  expect(checked.length).toEqual(5);
+  await expect(scanChain(accountAt(0), 1, isUsed, 0)).rejects.toThrow(/Gap limit/);
+});
+
+test("scanAccount scans both chains", async () => {
+  const { isUsed } = usedPaths(["0/0/0", "0/1/2"]);
+  const scan = await scanAccount(accountAt(0), isUsed, 5);
+  expect(scan.receiving.nextIndex).toEqual(1);
+  expect(scan.change.used.map(({ path }) => path)).toEqual(["44'/309'/0'/1/2"]);
+});
+
+test("discoverAccounts stops at the first unused account", async () => {
+  const { isUsed } = usedPaths(["0/0/0", "1/1/0"]);
+  const requested = [];
+  const accounts = await discoverAccounts(
+    async index => {
+      requested.push(index);
+      return accountAt(index);
+    },
+    isUsed,
+    { gapLimit: 2 }
+  );
+  expect(accounts.map(({ account }) => account.accountPath)).toEqual(["44'/309'/0'", "44'/309'/1'"]);
+  expect(requested).toEqual([0, 1, 2]);
+});
+
+test("discoverAccounts honours maxAccounts", async () => {
+  const { isUsed } = usedPaths(["0/0/0", "1/1/0"]);
+  const accounts = await discoverAccounts(async index => accountAt(index), isUsed, {
+    gapLimit: 2,
+    maxAccounts: 1,
+  });
+  expect(accounts.length).toEqual(1);
+});
@@ -0,0 +1,83 @@
+// Transactions, headers and signing stubs shared by the tests.
+
+import { MAINNET, systemScript } from "../src/network";
+
+export const SOURCE_TX_HASH = "0xb1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5";
+
+export const secpLock = (lockArg, network = MAINNET) =>
+  systemScript(network.scripts.SECP256K1_BLAKE160, lockArg);
+
+// Mainnet headers of blocks 0x12 and 0xfcaf2 as returned by get_header_by_number,
+// from the @ckb-lumos/toolkit README
+export const MAINNET_HEADERS = [
+  {
+    compact_target: "0x1a08a97e",
+    dao: "0x18a6312eb520a12e8e552ee0f286230026c8799e8500000000bc29f1c9fefe06",
+    epoch: "0x6cf0012000000",
+    hash: "0xbc00f447149004a38a8f7347dcd0a2050a2f10f4b926325d797c0f3e0d10f99b",
+    nonce: "0x93317ca10000055400000000ba7e0100",
+    number: "0x12",
+    parent_hash: "0x4a191e12132587e852ddc30c73008426da6322a7def06ee153682afdceab16e7",
+    proposals_hash: "0x" + "00".repeat(32),
+    timestamp: "0x16e71002eff",
+    transactions_root: "0xcc05a6b1fc20464d4f07a40611f2cab00618ff66cc271ccee9a9fe5b4ea96a45",
+    extra_hash: "0x" + "00".repeat(32),
+    version: "0x0",
+  },
+  {
+    compact_target: "0x1a2cab56",
+    dao: "0x1a7930d4812eeb308acafdfe3cf1230088a770976aef78000032f12fbd5f0107",
+    epoch: "0x708047900028b",
+    hash: "0x1d0c693d8a78c9e2294ac7304934c635d7b65274fcdf46d5ce3d13ed66768cfd",
+    nonce: "0xe2b8ce400000000000000194cf350200",
+    number: "0xfcaf2",
+    parent_hash: "0x9cf27f050122efb35c362d105d980062d8ea29a8e0f86ec6a4ea06178a5a0381",
+    proposals_hash: "0x" + "00".repeat(32),
+    timestamp: "0x170aee486ee",
+    transactions_root: "0x16c74b3272430f1a89bb2fca39a571bf7a1bffecb314de528b6cbe9ba0f5d280",
+    extra_hash: "0x" + "00".repeat(32),
+    version: "0x0",
+  },
+];
+
+// A context transaction creating a 1000 CKB cell, or the given capacity, per lock
+export const contextTransaction = (locks, capacity = "0x174876e800") => ({
+  version: "0x0",
+  cell_deps: [],
+  header_deps: [],
+  inputs: [],
+  outputs: locks.map(lock => ({ capacity, lock, type: null })),
+  outputs_data: locks.map(() => "0x"),
+});
+
+// An input spending output index of the context transaction
+export const spending = (index, since = "0x0") => ({
+  since,
+  previous_output: { tx_hash: SOURCE_TX_HASH, index },
+});
+
+export const rawTransaction = (inputs, outputs = []) => ({
+  version: "0x0",
+  cell_deps: [],
+  header_deps: [],
+  inputs,
+  outputs,
+  outputs_data: outputs.map(() => "0x"),
+});
+
+// The WitnessArgs holding a sighash signature and nothing else
+export const sighashWitness = signature =>
+  "0x5500000010000000550000005500000041000000" + signature;
+
+/**
+ * Replace ckb.signAnnotatedTransaction by a stub recording each call and
+ * returning "111…", "222…" and so on as the signature of the nth call.
+ */
+export const recordSignatures = ckb => {
+  const calls = [];
+  ckb.signAnnotatedTransaction = async (tx, options) => {
+    calls.push({ tx, options });
+    return String(calls.length).repeat(130);
+  };
+  return calls;
+};
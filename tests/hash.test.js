@@ -0,0 +1,120 @@
+import * as blockchain from "../src/annotated";
+import {
+  ckbHash,
+  blake160,
+  computeTransactionHash,
+  computeScriptHash,
+  computeSighashAllMessage,
+  computeAnnotatedTransactionMessage,
+} from "../src/hash";
+
+const rawTx = {
+  version: "0x0",
+  cell_deps: [
+    {
+      out_point: {
+        tx_hash: "71a7ba8fc96349fea0ed3a5c47992e3b4084b031a42264a018e0072e8172e46c",
+        index: "0x0",
+      },
+      dep_type: "dep_group",
+    },
+  ],
+  header_deps: [],
+  inputs: [
+    {
+      since: "0x0",
+      previous_output: {
+        tx_hash: "a563884b3686078ec7e7677a5f86449b15cf2693f3c1241766c6996f206cc541",
+        index: "0x1",
+      },
+    },
+  ],
+  outputs: [
+    {
+      capacity: "0x174876e800",
+      lock: {
+        code_hash: "9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8",
+        hash_type: "type",
+        args: "e5260d839a786ac2a909181df9a423f1efbe863d",
+      },
+      type_: null,
+    },
+  ],
+  outputs_data: [""],
+};
+
+test("ckbHash of empty input", () => {
+  expect(ckbHash(Buffer.alloc(0)).toString("hex")).toEqual(
+    "44f4c69744d5f8c55d642062949dcae49bc4e7ef43d388c5a12f42b5633d163e"
+  );
+  expect(blake160("").toString("hex")).toEqual("44f4c69744d5f8c55d642062949dcae49bc4e7ef");
+});
+
+test("computeTransactionHash and computeSighashAllMessage match the CKB SDKs", () => {
+  // rawTx spending a mainnet secp256k1 cell locked by 36c329ed…, hashed by
+  // @nervosnetwork/ckb-sdk-utils 0.109.5 rawTransactionToHash and signed over
+  // by @ckb-lumos/common-scripts 0.23.0 secp256k1Blake160.prepareSigningEntries
+  const placeholder = "55000000100000005500000055000000" + "41000000" + "00".repeat(65);
+  expect(computeTransactionHash(rawTx)).toEqual(
+    "35e6a70f2befd0d58c4661bb489260572408f4b4a75f59bbf41a0d34be7f9838"
+  );
+  expect(computeSighashAllMessage(rawTx, [placeholder])).toEqual(
+    "07fc1a461fd6bddfcf998427ca08156e33f13e1e4c0cbf81ff8ec4c9000322c6"
+  );
+});
+
+test("computeTransactionHash agrees for JSON and serialized hex", () => {
+  const hex = Buffer.from(blockchain.SerializeRawTransaction(rawTx)).toString("hex");
+  expect(computeTransactionHash(rawTx)).toEqual(computeTransactionHash("0x" + hex));
+  expect(computeTransactionHash(rawTx)).toEqual(
+    ckbHash(blockchain.SerializeRawTransaction(rawTx)).toString("hex")
+  );
+});
+
+test("computeScriptHash agrees for JSON and serialized hex", () => {
+  const script = {
+    code_hash: "0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8",
+    hash_type: "type",
+    args: "0x36c329ed630d6ce750712a477543672adab57f4c",
+  };
+  const hex = Buffer.from(blockchain.SerializeScript(script)).toString("hex");
+  expect(computeScriptHash(script)).toEqual(computeScriptHash("0x" + hex));
+  expect(computeScriptHash(script)).toEqual(ckbHash(hex).toString("hex"));
+});
+
+test("computeSighashAllMessage hashes the tx hash and length-prefixed witnesses", () => {
+  const witness = "55000000100000005500000055000000410000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000";
+  const length = Buffer.from("5500000000000000", "hex");
+  const expected = ckbHash(
+    Buffer.concat([
+      Buffer.from(computeTransactionHash(rawTx), "hex"),
+      length,
+      Buffer.from(witness, "hex"),
+      Buffer.alloc(8),
+    ])
+  ).toString("hex");
+  expect(computeSighashAllMessage(rawTx, [witness, ""])).toEqual(expected);
+});
+
+test("computeAnnotatedTransactionMessage matches for JSON and decoded transactions", () => {
+  const annotated = {
+    signPath: [0x8000002c, 0x80000135, 0x80000000, 0, 0],
+    changePath: [0x8000002c, 0x80000135, 0x80000000, 1, 0],
+    inputCount: 1,
+    raw: {
+      version: rawTx.version,
+      cell_deps: rawTx.cell_deps,
+      header_deps: rawTx.header_deps,
+      inputs: [{ input: rawTx.inputs[0], source: rawTx }],
+      outputs: rawTx.outputs,
+      outputs_data: rawTx.outputs_data,
+    },
+    witnesses: ["10000000100000001000000010000000"],
+  };
+  const decoded = new blockchain.AnnotatedTransaction(
+    blockchain.SerializeAnnotatedTransaction(annotated)
+  );
+  const expected = computeSighashAllMessage(rawTx, annotated.witnesses);
+  expect(computeAnnotatedTransactionMessage(annotated)).toEqual(expected);
+  expect(computeAnnotatedTransactionMessage(decoded)).toEqual(expected);
+});
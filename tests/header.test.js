@@ -0,0 +1,84 @@
+import BN from "bn.js";
+import * as molecule from "../src/molecule";
+import { ckbHash, computeHeaderHash } from "../src/hash";
+import { toHeaderView, headerNumber, headerEpoch, parseDaoField, headerDao } from "../src/header";
+import { MAINNET_HEADERS } from "./fixtures";
+
+const u64 = value => new BN(value).toArrayLike(Buffer, "le", 8).toString("hex");
+const dao = "0x" + u64("1000000000000") + u64("10000000000123456") + u64("12345") + u64("678");
+const header = {
+  version: "0x0",
+  compact_target: "0x1a08a97e",
+  timestamp: "0x16e70e6985c",
+  number: "0x1234",
+  epoch: "0x3e8000a000064",
+  parent_hash: "0x" + "11".repeat(32),
+  transactions_root: "0x" + "22".repeat(32),
+  proposals_hash: "0x" + "33".repeat(32),
+  extra_hash: "0x" + "44".repeat(32),
+  dao,
+  nonce: "0x1e1a2b3c4d5e6f708192a3b4c5d6e7f8",
+};
+
+test("toHeaderView serializes JSON-RPC headers little-endian", () => {
+  const view = toHeaderView(header);
+  const serialized = Buffer.from(molecule.SerializeHeader(view)).toString("hex");
+  expect(serialized).toHaveLength(208 * 2);
+  expect(serialized.slice(0, 8)).toEqual("00000000");
+  expect(serialized.slice(8, 16)).toEqual("7ea9081a");
+  expect(serialized.slice(-32)).toEqual("f8e7d6c5b4a39281706f5e4d3c2b1a1e");
+  expect(toHeaderView(serialized).getRaw().getDao().toObject()).toEqual(dao.slice(2));
+  expect(toHeaderView(view)).toBe(view);
+});
+
+test("headerNumber, headerEpoch and headerDao decode the raw header", () => {
+  expect(headerNumber(header)).toEqual("0x1234");
+  expect(headerEpoch(header)).toEqual("0x3e8000a000064");
+  expect(headerDao(header)).toEqual({
+    c: "0xe8d4a51000",
+    ar: "0x2386f26fc2e240",
+    s: "0x3039",
+    u: "0x2a6",
+  });
+  expect(() => parseDaoField("0x00")).toThrow("Invalid dao field length");
+});
+
+test("computeHeaderHash hashes the serialized header", () => {
+  const serialized = Buffer.from(molecule.SerializeHeader(toHeaderView(header)));
+  expect(computeHeaderHash(header)).toEqual(ckbHash(serialized).toString("hex"));
+  expect(computeHeaderHash(serialized.toString("hex"))).toEqual(computeHeaderHash(header));
+});
+
+test("computeHeaderHash reproduces mainnet block hashes", () => {
+  MAINNET_HEADERS.forEach(header => {
+    const view = toHeaderView(header);
+    const serialized = Buffer.from(molecule.SerializeHeader(view)).toString("hex");
+    expect(new molecule.Header(serialized).getRaw().getDao().toObject()).toEqual(header.dao.slice(2));
+    expect(computeHeaderHash(header)).toEqual(header.hash.slice(2));
+    expect(computeHeaderHash(serialized)).toEqual(header.hash.slice(2));
+    expect(headerNumber(header)).toEqual(header.number);
+    expect(headerEpoch(header)).toEqual(header.epoch);
+  });
+});
+
+test("headerDao decodes the dao field of mainnet headers", () => {
+  const decimal = fields => {
+    const result = {};
+    Object.keys(fields).forEach(key => {
+      result[key] = new BN(fields[key].slice(2), 16).toString(10);
+    });
+    return result;
+  };
+  expect(decimal(parseDaoField(MAINNET_HEADERS[0].dao))).toEqual({
+    c: "3360002759531275800",
+    ar: "10000001886213518",
+    s: "573889431590",
+    u: "504120351600000000",
+  });
+  expect(decimal(headerDao(MAINNET_HEADERS[1]))).toEqual({
+    c: "3524962268493150490",
+    ar: "10116868463250058",
+    s: "34040238291593096",
+    u: "504789899400000000",
+  });
+});
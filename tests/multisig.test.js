@@ -0,0 +1,167 @@
+import {
+  multisigConfig,
+  serializeMultisigScript,
+  parseMultisigScript,
+  multisigArgs,
+  multisigLockScript,
+  multisigAddress,
+  multisigPlaceholder,
+  multisigGroup,
+  computeMultisigMessage,
+  mergeMultisigSignatures,
+  assembleMultisigTransaction,
+} from "../src/multisig";
+import { ec as EC } from "elliptic";
+import * as blockchain from "../src/annotated";
+import { blake160 } from "../src/hash";
+import { publicKeyToLockArg } from "../src/secp256k1";
+import { addressToScript } from "../src/address";
+import { MAINNET, TESTNET } from "../src/network";
+
+const publicKeys = [
+  "04d066dbe5603004dc4c83e27106b098f5e9b9b17b6bdec965810cd0921193b1c87206518153a0b44c7ae6b0be92a60d515d454e71ab27943bbb323273b8bdd46a",
+  "035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc56",
+  "03501e454bf00751f24b1b489aa925215d66af2234e3891c3b21a52bedb3cd711c",
+];
+const hashes = publicKeys.map(publicKeyToLockArg);
+
+test("multisigConfig hashes public keys and keeps hashes", () => {
+  const config = multisigConfig([publicKeys[0], "0x" + hashes[1], publicKeys[2]], {
+    threshold: 2,
+    requireFirstN: 1,
+  });
+  expect(config.publicKeyHashes).toEqual(hashes);
+});
+
+test("serializeMultisigScript lays out the header and the hashes", () => {
+  const config = multisigConfig(publicKeys, { threshold: 2, requireFirstN: 1 });
+  const script = serializeMultisigScript(config);
+  expect(script).toEqual("00010203" + hashes.join(""));
+  expect(parseMultisigScript(script)).toEqual({ ...config, since: undefined });
+});
+
+test("multisigArgs appends since in little endian", () => {
+  const config = multisigConfig(publicKeys, { threshold: 2 });
+  const hash = blake160(Buffer.from(serializeMultisigScript(config), "hex")).toString("hex");
+  expect(multisigArgs(config)).toEqual(hash);
+  expect(multisigArgs({ ...config, since: "0x2000000000000005" })).toEqual(
+    hash + "0500000000000020"
+  );
+  expect(() => multisigArgs({ ...config, since: "0x1" + "0".repeat(16) })).toThrow(/64 bits/);
+});
+
+test("multisigAddress uses the network's multisig lock", () => {
+  const config = multisigConfig(publicKeys, { threshold: 3, requireFirstN: 3 });
+  const lock = multisigLockScript(config, TESTNET);
+  expect(lock.code_hash).toEqual(TESTNET.scripts.SECP256K1_BLAKE160_MULTISIG.code_hash);
+  expect(lock.args).toEqual("0x" + multisigArgs(config));
+  const address = multisigAddress(config, TESTNET);
+  expect(addressToScript(address, { network: TESTNET })).toEqual(lock);
+});
+
+test("multisigConfig refuses impossible thresholds", () => {
+  expect(() => multisigConfig(publicKeys, { threshold: 4 })).toThrow(/threshold/);
+  expect(() => multisigConfig(publicKeys, { threshold: 0 })).toThrow(/threshold/);
+  expect(() => multisigConfig(publicKeys, { threshold: 1, requireFirstN: 2 })).toThrow(
+    /require_first_n/
+  );
+  expect(() => multisigConfig([], { threshold: 1 })).toThrow(/key count/);
+});
+
+describe("multisig signing", () => {
+  const curve = new EC("secp256k1");
+  const keys = ["11", "22", "33"].map(byte => curve.keyFromPrivate(byte.repeat(32), "hex"));
+  const sign = (key, message) => {
+    const { r, s, recoveryParam } = key.sign(Buffer.from(message, "hex"), { canonical: true });
+    return (
+      r.toArrayLike(Buffer, "be", 32).toString("hex") +
+      s.toArrayLike(Buffer, "be", 32).toString("hex") +
+      Buffer.from([recoveryParam]).toString("hex")
+    );
+  };
+
+  const config = multisigConfig(
+    keys.map(key => key.getPublic(true, "hex")),
+    { threshold: 2, requireFirstN: 1 }
+  );
+  const context = {
+    version: "0x0",
+    cell_deps: [],
+    header_deps: [],
+    inputs: [],
+    outputs: [
+      { capacity: "0x174876e800", lock: multisigLockScript(config), type: null },
+      {
+        capacity: "0x174876e800",
+        lock: {
+          code_hash: MAINNET.scripts.SECP256K1_BLAKE160.code_hash,
+          hash_type: "type",
+          args: "0x" + hashes[0],
+        },
+        type: null,
+      },
+    ],
+    outputs_data: ["0x", "0x"],
+  };
+  const input = index => ({
+    since: "0x0",
+    previous_output: {
+      tx_hash: "0xa563884b3686078ec7e7677a5f86449b15cf2693f3c1241766c6996f206cc541",
+      index,
+    },
+  });
+  const rawTx = {
+    version: "0x0",
+    cell_deps: [MAINNET.scripts.SECP256K1_BLAKE160_MULTISIG.cell_dep],
+    header_deps: [],
+    inputs: [input("0x1"), input("0x0"), input("0x0")],
+    outputs: [{ capacity: "0x2540be400", lock: multisigLockScript(config), type: null }],
+    outputs_data: ["0x"],
+  };
+  const contexts = [context, context, context];
+  const witnesses = ["", "", ""];
+  const group = multisigGroup(rawTx, contexts, config);
+  const message = computeMultisigMessage(rawTx, witnesses, group, config);
+
+  test("the placeholder holds the script and threshold empty slots", () => {
+    expect(group).toEqual([1, 2]);
+    expect(multisigPlaceholder(config)).toEqual(
+      serializeMultisigScript(config) + "00".repeat(130)
+    );
+  });
+
+  test("signatures are merged in key order", () => {
+    const first = sign(keys[0], message);
+    const third = sign(keys[2], message);
+    expect(mergeMultisigSignatures(config, message, [third, first])).toEqual(
+      serializeMultisigScript(config) + first + third
+    );
+  });
+
+  test("merging checks the threshold and the required keys", () => {
+    const first = sign(keys[0], message);
+    const second = sign(keys[1], message);
+    const third = sign(keys[2], message);
+    expect(() => mergeMultisigSignatures(config, message, [first])).toThrow(/Not enough/);
+    expect(() => mergeMultisigSignatures(config, message, [second, third])).toThrow(
+      /required multisig key 0/
+    );
+    expect(() => mergeMultisigSignatures(config, message, [first, first])).toThrow(/Two signatures/);
+    const stranger = sign(curve.keyFromPrivate("44".repeat(32), "hex"), message);
+    expect(() => mergeMultisigSignatures(config, message, [first, stranger])).toThrow(
+      /not from a key/
+    );
+    expect(
+      mergeMultisigSignatures(config, message, [third, second, first]).length
+    ).toEqual(serializeMultisigScript(config).length + 260);
+  });
+
+  test("assembleMultisigTransaction fills the group's first witness", () => {
+    const signatures = [sign(keys[1], message), sign(keys[0], message)];
+    const { hex } = assembleMultisigTransaction(rawTx, witnesses, contexts, config, signatures);
+    const tx = new blockchain.Transaction(hex);
+    const lock = new blockchain.WitnessArgs(tx.getWitnesses().indexAt(1).raw()).toObject().lock;
+    expect(lock).toEqual(serializeMultisigScript(config) + signatures[1] + signatures[0]);
+    expect(Buffer.from(tx.getWitnesses().indexAt(0).raw()).length).toEqual(0);
+  });
+});
@@ -0,0 +1,53 @@
+import { MAINNET, TESTNET, networkForPrefix, systemScript } from "../src/network";
+import { AddressFormat, addressToScript, parseAddress, scriptToAddress } from "../src/address";
+
+const devnet = {
+  ...TESTNET,
+  name: "devnet",
+  scripts: {
+    ...TESTNET.scripts,
+    ANYONE_CAN_PAY: {
+      ...TESTNET.scripts.ANYONE_CAN_PAY,
+      code_hash: "0x" + "ab".repeat(32),
+    },
+  },
+};
+
+test("networkForPrefix finds the presets", () => {
+  expect(networkForPrefix("ckb")).toBe(MAINNET);
+  expect(networkForPrefix("ckt")).toBe(TESTNET);
+  expect(() => networkForPrefix("ckd")).toThrow(/Unknown address prefix/);
+});
+
+test("networkForPrefix prefers the first of the given networks", () => {
+  expect(networkForPrefix("ckt", [devnet, TESTNET])).toBe(devnet);
+  expect(networkForPrefix("ckb", [devnet, MAINNET])).toBe(MAINNET);
+  expect(() => networkForPrefix("ckb", [devnet])).toThrow(/Unknown address prefix/);
+});
+
+test("systemScript builds a script from a config", () => {
+  expect(systemScript(MAINNET.scripts.DAO, "")).toEqual({
+    code_hash: "0x82d76d1b75fe2fd9a27dfbaa65a039221a380d76c926f378d3f81cf3e7e13f2e",
+    hash_type: "type",
+    args: "0x",
+  });
+});
+
+test("short addresses follow the network's system scripts", () => {
+  const acp = systemScript(devnet.scripts.ANYONE_CAN_PAY, "36c329ed630d6ce750712a477543672adab57f4c");
+  const address = scriptToAddress(acp, { network: devnet, format: AddressFormat.SHORT });
+  expect(addressToScript(address, { network: devnet })).toEqual(acp);
+  expect(parseAddress(address).script.code_hash).toEqual(TESTNET.scripts.ANYONE_CAN_PAY.code_hash);
+  expect(() => addressToScript(address, { network: MAINNET })).toThrow(/Wrong address prefix/);
+});
+
+test("addresses are read with the scripts of the given networks", () => {
+  const acp = systemScript(devnet.scripts.ANYONE_CAN_PAY, "36c329ed630d6ce750712a477543672adab57f4c");
+  const address = scriptToAddress(acp, {
+    prefix: devnet.prefix,
+    networks: [devnet],
+    format: AddressFormat.SHORT,
+  });
+  expect(addressToScript(address, { networks: [devnet, MAINNET, TESTNET] })).toEqual(acp);
+  expect(addressToScript(address, { networks: [MAINNET, TESTNET] })).not.toEqual(acp);
+});
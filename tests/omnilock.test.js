@@ -0,0 +1,117 @@
+import {
+  OMNILOCK_PLACEHOLDER,
+  omnilockArgs,
+  parseOmnilockArgs,
+  omnilockLockScript,
+  omnilockAddress,
+  omnilockWitnessLock,
+  parseOmnilockWitnessLock,
+  findOmnilockGroupsForLockArgs,
+} from "../src/omnilock";
+import * as molecule from "../src/molecule";
+import { addressToScript } from "../src/address";
+import { MAINNET, TESTNET } from "../src/network";
+import { sighashGroupWitnesses } from "../src/transaction";
+import { computeTransactionHash, computeSighashAllMessage } from "../src/hash";
+
+const lockArg = "36c329ed630d6ce750712a477543672adab57f4c";
+
+test("omnilockArgs uses the CKB secp256k1 auth and no flags", () => {
+  expect(omnilockArgs("0x" + lockArg)).toEqual("00" + lockArg + "00");
+  expect(parseOmnilockArgs("0x00" + lockArg + "00")).toEqual({
+    authFlag: 0,
+    authContent: lockArg,
+    omnilockFlags: 0,
+    rest: "",
+  });
+  expect(() => omnilockArgs("abcd")).toThrow(/Not a valid lock arg/);
+  expect(() => parseOmnilockArgs("00" + lockArg)).toThrow(/Invalid Omnilock args length/);
+});
+
+test("omnilockAddress uses the network's Omnilock", () => {
+  const address = omnilockAddress(lockArg, TESTNET);
+  expect(address.startsWith("ckt1")).toBe(true);
+  expect(addressToScript(address)).toEqual({
+    code_hash: TESTNET.scripts.OMNILOCK.code_hash,
+    hash_type: "type",
+    args: "0x00" + lockArg + "00",
+  });
+});
+
+test("omnilockWitnessLock wraps the signature in an OmniLockWitnessLock", () => {
+  const signature = "ab".repeat(65);
+  const lock = omnilockWitnessLock("0x" + signature);
+  expect(lock).toEqual("55000000100000005500000055000000" + "41000000" + signature);
+  expect(new molecule.OmniLockWitnessLock(lock).toObject()).toEqual({
+    signature,
+    omni_identity: null,
+    preimage: null,
+  });
+  expect(parseOmnilockWitnessLock(lock)).toEqual(signature);
+});
+
+// Built and signed-over by @ckb-lumos/common-scripts 0.23.0 omnilock
+// setupInputCell and prepareSigningEntries on mainnet
+test("OMNILOCK_PLACEHOLDER gives Omnilock's sighash message", () => {
+  const rawTx = {
+    version: "0x0",
+    cell_deps: [
+      MAINNET.scripts.OMNILOCK.cell_dep,
+      MAINNET.scripts.SECP256K1_BLAKE160.cell_dep,
+    ],
+    header_deps: [],
+    inputs: [
+      {
+        since: "0x0",
+        previous_output: {
+          tx_hash: "0xb1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5",
+          index: "0x0",
+        },
+      },
+    ],
+    outputs: [{ capacity: "0x174876e000", lock: omnilockLockScript(lockArg), type_: null }],
+    outputs_data: ["0x"],
+  };
+  const witnesses = sighashGroupWitnesses([""], [0], 1, OMNILOCK_PLACEHOLDER);
+  expect(witnesses).toEqual([
+    "6900000010000000690000006900000055000000" + "00".repeat(85),
+  ]);
+  expect(computeTransactionHash(rawTx)).toEqual(
+    "f2487fd7464f1a5febdedf8874e85051428ba922400ce00c7a3d5a5621aa2e1e"
+  );
+  expect(computeSighashAllMessage(rawTx, witnesses)).toEqual(
+    "649ad109f68868bb3011d938480a10b24cb7c7cff24743a28baa3ee586fc71bc"
+  );
+});
+
+test("OmniLockWitnessLock round-trips an identity", () => {
+  const value = {
+    signature: null,
+    omni_identity: {
+      identity: "fc" + "11".repeat(20),
+      proofs: [{ mask: 3, proof: "abcd" }],
+    },
+    preimage: "beef",
+  };
+  const lock = new molecule.OmniLockWitnessLock(molecule.SerializeOmniLockWitnessLock(value));
+  expect(lock.toObject()).toEqual(value);
+  expect(lock.getOmniIdentity().value().getProofs().indexAt(0).getMask()).toEqual(3);
+});
+
+test("findOmnilockGroupsForLockArgs matches the auth content", () => {
+  const group = (script, inputs) => ({ script, inputs });
+  const withArgs = args => ({ ...omnilockLockScript(lockArg), args: "0x" + args });
+  const groups = [
+    group(omnilockLockScript(lockArg), [0]),
+    group(withArgs("00" + lockArg + "01"), [1]),
+    group(withArgs("01" + lockArg + "00"), [2]),
+    group(omnilockLockScript(lockArg, TESTNET), [3]),
+  ];
+  expect(findOmnilockGroupsForLockArgs(groups, ["0x" + lockArg])).toEqual([
+    { ...groups[0], lockArg },
+  ]);
+  expect(findOmnilockGroupsForLockArgs(groups, [lockArg], TESTNET)).toEqual([
+    { ...groups[3], lockArg },
+  ]);
+  expect(omnilockLockScript(lockArg).code_hash).toEqual(MAINNET.scripts.OMNILOCK.code_hash);
+});
@@ -0,0 +1,133 @@
+import { DaoOperation, describeAnnotatedTransaction } from "../src/preview";
+import { DAO_DEPOSIT_DATA, daoTypeScript, encodeBlockNumber } from "../src/dao";
+import { scriptToAddress } from "../src/address";
+import { TESTNET, systemScript } from "../src/network";
+
+const lockArg = "36c329ed630d6ce750712a477543672adab57f4c";
+const otherArg = "b39bbc0b3673c7d36450bc14cfcdad2d559c6c64";
+const lock = systemScript(TESTNET.scripts.SECP256K1_BLAKE160, lockArg);
+const other = systemScript(TESTNET.scripts.SECP256K1_BLAKE160, otherArg);
+const udt = {
+  code_hash: "0x" + "5e".repeat(32),
+  hash_type: "type",
+  args: "0x" + "01".repeat(32),
+};
+const sourceHash = "0xb1b547956a0dfb7ea618231563b3acd23607586e939f88e5a6db5f392b2e78d5";
+const source = {
+  version: "0x0",
+  cell_deps: [],
+  header_deps: [],
+  inputs: [],
+  outputs: [
+    { capacity: "0x174876e800", lock, type: null },
+    { capacity: "0xba43b7400", lock, type: daoTypeScript(TESTNET) },
+    { capacity: "0xba43b7400", lock, type: daoTypeScript(TESTNET) },
+  ],
+  outputs_data: ["0x", DAO_DEPOSIT_DATA, encodeBlockNumber("0x1234")],
+};
+const annotated = (inputs, outputs, outputs_data) => ({
+  signPath: [0x8000002c, 0x80000135, 0x80000000, 0, 0],
+  changePath: [0x8000002c, 0x80000135, 0x80000000, 1, 0],
+  inputCount: inputs.length,
+  raw: {
+    version: "0x0",
+    cell_deps: [],
+    header_deps: [],
+    inputs: inputs.map(([index, since = "0x0"]) => ({
+      input: { since, previous_output: { tx_hash: sourceHash, index } },
+      source,
+    })),
+    outputs,
+    outputs_data,
+  },
+  witnesses: [],
+});
+
+test("describeAnnotatedTransaction summarizes a transfer", () => {
+  const tx = annotated(
+    [["0x0"]],
+    [
+      { capacity: "0xdf8475800", lock: other, type: null },
+      { capacity: "0x9502f8c18", lock, type: null },
+    ],
+    ["0x", "0x"]
+  );
+  const preview = describeAnnotatedTransaction(tx, { changeLockArg: "0x" + lockArg, network: TESTNET });
+  expect(preview.signPath).toEqual("m/44'/309'/0'/0/0");
+  expect(preview.changePath).toEqual("m/44'/309'/0'/1/0");
+  expect(preview.inputs).toEqual([
+    {
+      txHash: sourceHash,
+      index: 0,
+      capacity: "0x174876e800",
+      address: scriptToAddress(lock, { network: TESTNET }),
+      since: "0x0",
+      sinceDescription: "no lock",
+      dao: null,
+      type: null,
+      unknownType: false,
+    },
+  ]);
+  expect(preview.outputs.map(({ address, change }) => ({ address, change }))).toEqual([
+    { address: scriptToAddress(other, { network: TESTNET }), change: false },
+    { address: scriptToAddress(lock, { network: TESTNET }), change: true },
+  ]);
+  expect(preview.inputCapacity).toEqual("0x174876e800");
+  expect(preview.outputCapacity).toEqual("0x174876e418");
+  expect(preview.fee).toEqual("0x3e8");
+  expect(preview.daoOperations).toEqual([]);
+  expect(preview.unknownTypeScripts).toEqual([]);
+});
+
+test("describeAnnotatedTransaction reports DAO operations", () => {
+  const deposit = describeAnnotatedTransaction(
+    annotated(
+      [["0x0"]],
+      [
+        { capacity: "0xba43b7400", lock, type: daoTypeScript(TESTNET) },
+        { capacity: "0xba43b7018", lock, type: null },
+      ],
+      [DAO_DEPOSIT_DATA, "0x"]
+    ),
+    { changeLockArg: lockArg, network: TESTNET }
+  );
+  expect(deposit.daoOperations).toEqual([DaoOperation.DEPOSIT]);
+  expect(deposit.outputs.map(({ dao }) => dao)).toEqual([DaoOperation.DEPOSIT, null]);
+  expect(deposit.fee).toEqual("0x3e8");
+
+  const unlock = describeAnnotatedTransaction(
+    annotated([["0x2", "0x2003e8000a000118"]], [{ capacity: "0xba43b8000", lock, type: null }], ["0x"]),
+    { changeLockArg: lockArg, network: TESTNET }
+  );
+  expect(unlock.daoOperations).toEqual([DaoOperation.UNLOCK]);
+  expect(unlock.inputs[0].sinceDescription).toEqual("from epoch 280 10/1000");
+  expect(unlock.fee).toBeNull();
+});
+
+test("describeAnnotatedTransaction lists unknown type scripts once", () => {
+  const preview = describeAnnotatedTransaction(
+    annotated(
+      [["0x0"]],
+      [
+        { capacity: "0x34e62ce00", lock: other, type: udt },
+        { capacity: "0x34e62ce00", lock, type: udt },
+      ],
+      ["0x" + "00".repeat(16), "0x" + "00".repeat(16)]
+    ),
+    { changeLockArg: lockArg, network: TESTNET }
+  );
+  expect(preview.outputs.map(({ unknownType }) => unknownType)).toEqual([true, true]);
+  expect(preview.unknownTypeScripts).toEqual([udt]);
+});
+
+test("describeAnnotatedTransaction rejects outputs exceeding inputs", () => {
+  expect(() =>
+    describeAnnotatedTransaction(
+      annotated([["0x0"]], [{ capacity: "0x174876e801", lock, type: null }], ["0x"]),
+      { changeLockArg: lockArg, network: TESTNET }
+    )
+  ).toThrow(/Output capacity exceeds input capacity/);
+  expect(() =>
+    describeAnnotatedTransaction(annotated([["0x3"]], [], []), { changeLockArg: lockArg })
+  ).toThrow(/has no output 3/);
+});
@@ -0,0 +1,112 @@
+import * as blockchain from "../src/annotated";
+import {
+  RpcTransactionResolver,
+  MemoryTransactionResolver,
+  CachingTransactionResolver,
+  resolveContextTransactions,
+} from "../src/resolver";
+import { computeTransactionHash } from "../src/hash";
+
+const lock = {
+  code_hash: "0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8",
+  hash_type: "type",
+  args: "0xe5260d839a786ac2a909181df9a423f1efbe863d",
+};
+
+const source = capacity => ({
+  version: "0x0",
+  cell_deps: [],
+  header_deps: [],
+  inputs: [],
+  outputs: [{ capacity, lock, type: null }],
+  outputs_data: ["0x"],
+});
+
+const first = source("0x174876e800");
+const second = source("0x2540be400");
+const firstHash = "0x" + computeTransactionHash(first);
+const secondHash = "0x" + computeTransactionHash(second);
+
+const spending = {
+  version: "0x0",
+  cell_deps: [],
+  header_deps: [],
+  inputs: [secondHash, firstHash, secondHash].map(tx_hash => ({
+    since: "0x0",
+    previous_output: { tx_hash, index: "0x0" },
+  })),
+  outputs: [],
+  outputs_data: [],
+};
+
+test("MemoryTransactionResolver looks transactions up by hash", async () => {
+  const hex = Buffer.from(blockchain.SerializeRawTransaction(second)).toString("hex");
+  const resolver = new MemoryTransactionResolver([first, hex]);
+  expect(await resolver.getTransaction(firstHash.toUpperCase().replace("0X", ""))).toBe(first);
+  expect(await resolver.getTransaction(secondHash)).toEqual(second);
+  await expect(resolver.getTransaction("00".repeat(32))).rejects.toThrow(/not found/);
+});
+
+test("resolveContextTransactions aligns contexts with inputs", async () => {
+  const resolver = new MemoryTransactionResolver([first, second]);
+  expect(await resolveContextTransactions(resolver, spending)).toEqual([second, first, second]);
+});
+
+test("CachingTransactionResolver fetches each transaction once", async () => {
+  const memory = new MemoryTransactionResolver([first, second]);
+  const lookups = [];
+  const resolver = new CachingTransactionResolver({
+    getTransaction: txHash => {
+      lookups.push(txHash);
+      return memory.getTransaction(txHash);
+    },
+  });
+  await resolveContextTransactions(resolver, spending);
+  await resolver.getTransaction(firstHash);
+  expect(lookups).toEqual([secondHash, firstHash]);
+});
+
+test("CachingTransactionResolver retries failed lookups", async () => {
+  let fail = true;
+  const resolver = new CachingTransactionResolver({
+    getTransaction: async () => {
+      if (fail) {
+        fail = false;
+        throw new Error("offline");
+      }
+      return first;
+    },
+  });
+  await expect(resolver.getTransaction(firstHash)).rejects.toThrow("offline");
+  expect(await resolver.getTransaction(firstHash)).toBe(first);
+});
+
+test("RpcTransactionResolver calls get_transaction", async () => {
+  const requests = [];
+  const fetch = async (url, request) => {
+    requests.push({ url, body: JSON.parse(request.body) });
+    const { params } = JSON.parse(request.body);
+    return {
+      ok: true,
+      json: async () => ({
+        jsonrpc: "2.0",
+        result: params[0] === firstHash ? { transaction: first, tx_status: {} } : null,
+      }),
+    };
+  };
+  const resolver = new RpcTransactionResolver("http://localhost:8114", { fetch });
+  expect(await resolver.getTransaction(firstHash.slice(2))).toBe(first);
+  expect(requests[0].url).toEqual("http://localhost:8114");
+  expect(requests[0].body.method).toEqual("get_transaction");
+  expect(requests[0].body.params).toEqual([firstHash]);
+  await expect(resolver.getTransaction(secondHash)).rejects.toThrow(/not found/);
+});
+
+test("RpcTransactionResolver surfaces RPC errors", async () => {
+  const fetch = async () => ({
+    ok: true,
+    json: async () => ({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid params" } }),
+  });
+  const resolver = new RpcTransactionResolver("http://localhost:8114", { fetch });
+  await expect(resolver.getTransaction(firstHash)).rejects.toThrow("Invalid params");
+});
@@ -0,0 +1,72 @@
+import {
+  SECP256K1_BLAKE160_CODE_HASH,
+  groupInputsByLock,
+  findGroupsForLockArgs,
+} from "../src/scriptGroups";
+
+const lock = (args, codeHash = SECP256K1_BLAKE160_CODE_HASH) => ({
+  code_hash: "0x" + codeHash,
+  hash_type: "type",
+  args,
+});
+
+const first = lock("0xe5260d839a786ac2a909181df9a423f1efbe863d");
+const second = lock("0x36c329ed630d6ce750712a477543672adab57f4c");
+const other = lock(
+  "0xe5260d839a786ac2a909181df9a423f1efbe863d",
+  "d369597ff47f29fbc0d47d2e3775370d1250b85140c670e4718af712983a2354"
+);
+
+const context = {
+  version: "0x0",
+  cell_deps: [],
+  header_deps: [],
+  inputs: [],
+  outputs: [
+    { capacity: "0x174876e800", lock: first, type: null },
+    { capacity: "0x174876e800", lock: second, type: null },
+    { capacity: "0x174876e800", lock: other, type: null },
+  ],
+  outputs_data: ["0x", "0x", "0x"],
+};
+
+const input = index => ({
+  since: "0x0",
+  previous_output: {
+    tx_hash: "0xa563884b3686078ec7e7677a5f86449b15cf2693f3c1241766c6996f206cc541",
+    index,
+  },
+});
+
+const rawTx = {
+  version: "0x0",
+  cell_deps: [],
+  header_deps: [],
+  inputs: [input("0x1"), input("0x0"), input("0x2"), input("0x1")],
+  outputs: [{ capacity: "0x2540be400", lock: second, type: null }],
+  outputs_data: ["0x"],
+};
+
+const contexts = [context, context, context, context];
+
+test("groupInputsByLock groups inputs in order of first appearance", () => {
+  expect(groupInputsByLock(rawTx, contexts)).toEqual([
+    { script: second, inputs: [0, 3] },
+    { script: first, inputs: [1] },
+    { script: other, inputs: [2] },
+  ]);
+});
+
+test("findGroupsForLockArgs only matches sighash locks", () => {
+  const groups = groupInputsByLock(rawTx, contexts);
+  expect(
+    findGroupsForLockArgs(groups, ["E5260D839A786AC2A909181DF9A423F1EFBE863D"])
+  ).toEqual([{ script: first, inputs: [1], lockArg: "e5260d839a786ac2a909181df9a423f1efbe863d" }]);
+  expect(
+    findGroupsForLockArgs(groups, [
+      "0xe5260d839a786ac2a909181df9a423f1efbe863d",
+      "0x36c329ed630d6ce750712a477543672adab57f4c",
+    ]).map(group => group.inputs)
+  ).toEqual([[0, 3], [1]]);
+  expect(findGroupsForLockArgs(groups, ["00".repeat(20)])).toEqual([]);
+});
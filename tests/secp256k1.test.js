@@ -0,0 +1,51 @@
+import { ec as EC } from "elliptic";
+import {
+  compressPublicKey,
+  publicKeyToLockArg,
+  computeMessageHash,
+  recoverPublicKey,
+  verifySignature,
+  assertSignature,
+} from "../src/secp256k1";
+import { SignatureMismatchError } from "../src/errors";
+
+const curve = new EC("secp256k1");
+const key = curve.keyFromPrivate(
+  "e79f3207ea4980b7fed79956d5934249ceac4751a4fae01a0f7c4a96884bc4e3",
+  "hex"
+);
+
+const sign = message => {
+  const sig = key.sign(Buffer.from(message, "hex"), { canonical: true });
+  return Buffer.concat([
+    sig.r.toArrayLike(Buffer, "be", 32),
+    sig.s.toArrayLike(Buffer, "be", 32),
+    Buffer.from([sig.recoveryParam]),
+  ]).toString("hex");
+};
+
+test("compressPublicKey and publicKeyToLockArg", () => {
+  const uncompressed = key.getPublic(false, "hex");
+  const compressed = key.getPublic(true, "hex");
+  expect(compressPublicKey(uncompressed)).toEqual(compressed);
+  expect(compressPublicKey(compressed)).toEqual(compressed);
+  expect(publicKeyToLockArg(uncompressed)).toEqual(
+    "36c329ed630d6ce750712a477543672adab57f4c"
+  );
+});
+
+test("recoverPublicKey and verifySignature", () => {
+  const message = computeMessageHash("48656c6c6f20776f726c64");
+  const signature = sign(message);
+  expect(recoverPublicKey(message, signature)).toEqual(key.getPublic(true, "hex"));
+  expect(verifySignature(message, signature, "0x36c329ed630d6ce750712a477543672adab57f4c")).toBe(true);
+  expect(verifySignature(message, signature, "00".repeat(20))).toBe(false);
+});
+
+test("assertSignature rejects a signature from another key", () => {
+  const message = computeMessageHash("48656c6c6f20776f726c64");
+  const signature = sign(message);
+  expect(() => assertSignature(message, signature, "00".repeat(20))).toThrow(
+    SignatureMismatchError
+  );
+});
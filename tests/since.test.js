@@ -0,0 +1,67 @@
+import {
+  SinceMetric,
+  encodeSince,
+  decodeSince,
+  isValidSince,
+  describeSince,
+} from "../src/since";
+import { CHEQUE_WITHDRAW_SINCE } from "../src/cheque";
+
+test("encodeSince and decodeSince round trip every metric", () => {
+  const sinces = [
+    { relative: false, metric: SinceMetric.BLOCK_NUMBER, value: "0x1234" },
+    { relative: true, metric: SinceMetric.BLOCK_NUMBER, value: "0x64" },
+    { relative: false, metric: SinceMetric.EPOCH, epoch: { number: 280, index: 10, length: 1000 } },
+    { relative: true, metric: SinceMetric.EPOCH, epoch: { number: 6, index: 0, length: 0 } },
+    { relative: false, metric: SinceMetric.TIMESTAMP, value: "0x5fee6600" },
+    { relative: true, metric: SinceMetric.TIMESTAMP, value: "0xe10" },
+  ];
+  const encoded = sinces.map(encodeSince);
+  expect(encoded).toEqual([
+    "0x1234",
+    "0x8000000000000064",
+    "0x2003e8000a000118",
+    "0xa000000000000006",
+    "0x400000005fee6600",
+    "0xc000000000000e10",
+  ]);
+  expect(encoded.map(since => decodeSince(since))).toEqual(sinces);
+  expect(encodeSince(decodeSince(CHEQUE_WITHDRAW_SINCE))).toEqual(CHEQUE_WITHDRAW_SINCE);
+});
+
+test("decodeSince reads the little-endian bytes of annotated inputs", () => {
+  expect(decodeSince("ba08000000010020", true)).toEqual({
+    relative: false,
+    metric: SinceMetric.EPOCH,
+    epoch: { number: 2234, index: 0, length: 1 },
+  });
+});
+
+test("decodeSince and encodeSince reject malformed sinces", () => {
+  expect(() => decodeSince("0x1" + "0".repeat(16))).toThrow(/64 bits/);
+  expect(() => decodeSince("0x0100000000000000")).toThrow(/reserved flags/);
+  expect(() => decodeSince("0x6000000000000000")).toThrow(/invalid metric flag/);
+  expect(() => decodeSince("0x2000000a00000001")).toThrow(/epoch fraction/);
+  expect(() => decodeSince("0xzz")).toThrow(/not hex/);
+  expect(() =>
+    encodeSince({ relative: false, metric: SinceMetric.BLOCK_NUMBER, value: "0x1" + "0".repeat(14) })
+  ).toThrow(/56 bits/);
+  expect(() =>
+    encodeSince({ relative: false, metric: SinceMetric.EPOCH, epoch: { number: 1, index: 5, length: 5 } })
+  ).toThrow(/epoch fraction/);
+  expect(() => encodeSince({ relative: false, metric: "height", value: "0x1" })).toThrow(
+    /Unknown since metric/
+  );
+  expect(isValidSince("0x2003e8000a000118")).toBe(true);
+  expect(isValidSince("0x6000000000000000")).toBe(false);
+});
+
+test("describeSince renders sinces in human terms", () => {
+  expect(describeSince("0x0")).toEqual("no lock");
+  expect(describeSince("0x1234")).toEqual("from block 4660");
+  expect(describeSince("0x8000000000000001")).toEqual("1 block after the cell was committed");
+  expect(describeSince("0x2003e8000a000118")).toEqual("from epoch 280 10/1000");
+  expect(describeSince(CHEQUE_WITHDRAW_SINCE)).toEqual("6 epochs after the cell was committed");
+  expect(describeSince("0x400000005fee6600")).toEqual("from median time 2021-01-01T00:00:00.000Z");
+  expect(describeSince("0xc000000000000e10")).toEqual("3600 seconds after the cell was committed");
+});
@@ -0,0 +1,89 @@
+import * as blockchain from "../src/annotated";
+import {
+  SIGNATURE_PLACEHOLDER,
+  inputGroup,
+  withWitnessLock,
+  sighashGroupWitnesses,
+  assembleTransaction,
+} from "../src/transaction";
+import { computeTransactionHash } from "../src/hash";
+
+const lock = args => ({
+  code_hash: "0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8",
+  hash_type: "type",
+  args,
+});
+
+const ours = lock("0xe5260d839a786ac2a909181df9a423f1efbe863d");
+const theirs = lock("0x36c329ed630d6ce750712a477543672adab57f4c");
+
+const context = {
+  version: "0x0",
+  cell_deps: [],
+  header_deps: [],
+  inputs: [],
+  outputs: [
+    { capacity: "0x174876e800", lock: ours, type: null },
+    { capacity: "0x174876e800", lock: theirs, type: null },
+  ],
+  outputs_data: ["0x", "0x"],
+};
+
+const input = index => ({
+  since: "0x0",
+  previous_output: {
+    tx_hash: "0xa563884b3686078ec7e7677a5f86449b15cf2693f3c1241766c6996f206cc541",
+    index,
+  },
+});
+
+const rawTx = {
+  version: "0x0",
+  cell_deps: [
+    {
+      out_point: {
+        tx_hash: "0x71a7ba8fc96349fea0ed3a5c47992e3b4084b031a42264a018e0072e8172e46c",
+        index: "0x0",
+      },
+      dep_type: "dep_group",
+    },
+  ],
+  header_deps: [],
+  inputs: [input("0x0"), input("0x1"), input("0x0")],
+  outputs: [{ capacity: "0x2540be400", lock: theirs, type: null }],
+  outputs_data: ["0x"],
+};
+
+const signature = "11".repeat(65);
+
+test("inputGroup collects inputs with the same lock", () => {
+  const contexts = [context, context, context];
+  expect(inputGroup(rawTx, contexts, 0)).toEqual([0, 2]);
+  expect(inputGroup(rawTx, contexts, 1)).toEqual([1]);
+});
+
+test("withWitnessLock keeps input_type and output_type", () => {
+  const witness = Buffer.from(
+    blockchain.SerializeWitnessArgs({ lock: null, input_type: "0x1234", output_type: null })
+  ).toString("hex");
+  const signed = new blockchain.WitnessArgs(withWitnessLock(witness, signature)).toObject();
+  expect(signed).toEqual({ lock: signature, input_type: "1234", output_type: null });
+});
+
+test("sighashGroupWitnesses", () => {
+  const witnesses = sighashGroupWitnesses(["", "", "abcd", "ef"], [0, 2], 3);
+  expect(witnesses.length).toEqual(3);
+  expect(new blockchain.WitnessArgs(witnesses[0]).toObject().lock).toEqual(SIGNATURE_PLACEHOLDER);
+  expect(witnesses.slice(1)).toEqual(["abcd", "ef"]);
+});
+
+test("assembleTransaction", () => {
+  const { hash, hex, json } = assembleTransaction(rawTx, ["", "", ""], { 0: signature });
+  const tx = new blockchain.Transaction(hex);
+  expect(hash).toEqual(computeTransactionHash(rawTx));
+  expect(new blockchain.WitnessArgs(tx.getWitnesses().indexAt(0).raw()).toObject().lock).toEqual(signature);
+  expect(json.inputs[1]).toEqual(input("0x1"));
+  expect(json.outputs[0]).toEqual({ capacity: "0x2540be400", lock: theirs, type: null });
+  expect(json.cell_deps).toEqual(rawTx.cell_deps);
+  expect(json.witnesses.slice(1)).toEqual(["0x", "0x"]);
+});
@@ -0,0 +1,48 @@
+import {
+  ExtendedKeyVersion,
+  base58CheckEncode,
+  base58CheckDecode,
+  fingerprint,
+  serializeExtendedPublicKey,
+  parseExtendedPublicKey,
+} from "../src/xpub";
+import { WatchOnlyAccount } from "../src/account";
+
+// BIP 32 test vector 1
+const master = "0339a36013301597daef41fbe593a02cc513d0b55527ec2df1050e2e8ff49c85c2";
+const hardened = {
+  public_key: "035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc56",
+  chain_code: "47fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae6236141",
+  depth: 1,
+  parentFingerprint: 0x3442193e,
+  childIndex: 0x80000000,
+};
+const xpub =
+  "xpub68Gmy5EdvgibQVfPdqkBBCHxA5htiqg55crXYuXoQRKfDBFA1WEjWgP6LHhwBZeNK1VTsfTFUHCdrfp1bgwQ9xv5ski8PX9rL2dZXvgGDnw";
+
+test("fingerprint is the start of hash160", () => {
+  expect(fingerprint(master)).toEqual(0x3442193e);
+});
+
+test("serializeExtendedPublicKey follows BIP 32", () => {
+  expect(serializeExtendedPublicKey(hardened)).toEqual(xpub);
+  expect(serializeExtendedPublicKey({ ...hardened, version: ExtendedKeyVersion.TPUB })).toMatch(/^tpub/);
+});
+
+test("parseExtendedPublicKey reads every field", () => {
+  expect(parseExtendedPublicKey(xpub)).toEqual({ ...hardened, version: ExtendedKeyVersion.XPUB });
+  expect(() => parseExtendedPublicKey(xpub.slice(0, -1) + "x")).toThrow(/checksum/);
+});
+
+test("Base58Check keeps leading zero bytes", () => {
+  const payload = Buffer.from("0000ff01", "hex");
+  const encoded = base58CheckEncode(payload);
+  expect(encoded.startsWith("11")).toBe(true);
+  expect(base58CheckDecode(encoded)).toEqual(payload);
+});
+
+test("WatchOnlyAccount accepts an xpub", () => {
+  expect(new WatchOnlyAccount(xpub).changeAddress(0)).toEqual(
+    new WatchOnlyAccount(hardened).changeAddress(0)
+  );
+});